@@ -1,4 +1,4 @@
-import { Component } from '../stelar'
+import { Component, html } from '../stelar'
 
 export class Todo extends Component {
     initialState() {
@@ -40,20 +40,22 @@ export class Todo extends Component {
     }
 
     // Method for the (initial or otherwise) full render
+    // The `html` tag escapes interpolated values, so user input can't inject markup
     render() {
-        return `
+        return html`
             <h3>To do</h3>
             <form action>
-                <input type="text" data-ref="new-todo">
+                <input type="text" data-ref="new-todo" />
                 <button type="submit">Add</button>
             </form>
-            <ul data-ref="list"> <!-- Added data-ref -->
+            <ul data-ref="list">
                 ${this.renderListItems()}
-            </ul>`
+            </ul>
+        `
     }
 
     // Standalone method for rendering list items only
     renderListItems() {
-        return this.state.todos.map((todo) => `<li>${todo}</li>`).join('')
+        return this.state.todos.map((todo) => html`<li>${todo}</li>`)
     }
 }
@@ -0,0 +1,139 @@
+import { readHostProps } from './utils/props'
+
+// Registered component classes keyed by their `data-component` name
+const registry = new Map()
+
+let observer = null
+let observedRoot = null
+
+/**
+ * Find all elements in a subtree (including its root) that host a registered component
+ * @param {Node} node - Root of the subtree
+ * @param {string} name - Registered component name
+ * @returns {HTMLElement[]} Matching host elements in document order
+ */
+function findHosts(node, name) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return []
+
+    const selector = `[data-component~="${name}"]`
+    const hosts = Array.from(node.querySelectorAll(selector))
+    return node.matches(selector) ? [node, ...hosts] : hosts
+}
+
+/**
+ * Instantiate registered components for all hosts in a subtree
+ * @param {Node} node - Root of the subtree
+ * @param {string[]} [names] - Component names to upgrade (all registered when omitted)
+ */
+function upgrade(node, names = Array.from(registry.keys())) {
+    names.forEach((name) => {
+        const ComponentClass = registry.get(name)
+        findHosts(node, name).forEach((host) => {
+            // One component per element, the first to claim it wins
+            if (host._component && !host._component.isDestroyed) return
+            if (!host.isConnected) return
+
+            new ComponentClass(host, {
+                initialState: readHostProps(host, ComponentClass.props),
+            })
+        })
+    })
+}
+
+/**
+ * Destroy components in a removed subtree that are no longer in the document
+ * @param {Node} node - Root of the removed subtree
+ */
+function downgrade(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return
+
+    const elements = [node, ...node.querySelectorAll('[data-component]')]
+    elements.forEach((element) => {
+        const component = element._component
+        // Elements that were only moved are connected again by now
+        if (!component || component.isDestroyed || element.isConnected) return
+
+        if (component.isConnected) {
+            component._handleDisconnected()
+        } else {
+            component.destroy()
+        }
+    })
+}
+
+/**
+ * Handle DOM mutations below the observed root
+ * @param {MutationRecord[]} mutations - Observed mutations
+ */
+function handleMutations(mutations) {
+    mutations.forEach((mutation) => {
+        mutation.removedNodes.forEach(downgrade)
+        mutation.addedNodes.forEach((node) => upgrade(node))
+    })
+}
+
+/**
+ * Page-wide component registry. Registered components are instantiated automatically
+ * on every `[data-component~="name"]` element inside the started root, including
+ * elements added later, and destroyed when their element is removed.
+ */
+export const Stelar = {
+    /**
+     * Register a component class under a name
+     * @param {string} name - Name used in `data-component` attributes
+     * @param {Function} ComponentClass - Component class to instantiate
+     * @returns {Object} The registry for chaining
+     */
+    register(name, ComponentClass) {
+        registry.set(name, ComponentClass)
+        if (observedRoot) {
+            upgrade(observedRoot, [name])
+        }
+        return this
+    },
+
+    /**
+     * Look up a registered component class
+     * @param {string} name - Registered name
+     * @returns {Function|undefined} The component class
+     */
+    get(name) {
+        return registry.get(name)
+    },
+
+    /**
+     * Upgrade all matching elements below a root and keep watching it for changes
+     * @param {HTMLElement} [root=document.body] - Root element to manage
+     * @returns {Object} The registry for chaining
+     */
+    start(root = document.body) {
+        this.stop()
+        observedRoot = root
+        upgrade(root)
+
+        observer = new MutationObserver(handleMutations)
+        observer.observe(root, { childList: true, subtree: true })
+        return this
+    },
+
+    /**
+     * Stop upgrading elements. Existing component instances are left running.
+     * @returns {Object} The registry for chaining
+     */
+    stop() {
+        observer?.disconnect()
+        observer = null
+        observedRoot = null
+        return this
+    },
+
+    /**
+     * Remove a registered component class (mainly useful in tests)
+     * @param {string} name - Registered name
+     * @returns {Object} The registry for chaining
+     */
+    unregister(name) {
+        registry.delete(name)
+        return this
+    },
+}
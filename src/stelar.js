@@ -1,7 +1,20 @@
+import { BindingManager } from './subsystems/binding-manager'
 import { EventManager } from './subsystems/event-manager'
+import { HistoryManager } from './subsystems/history-manager'
 import { LifecycleObserver } from './subsystems/lifecycle-observer'
+import { PersistenceManager } from './subsystems/persistence-manager'
+import { PropsManager } from './subsystems/props-manager'
 import { Renderer } from './subsystems/renderer'
+import { ResourceManager } from './subsystems/resource-manager'
 import { StateManager } from './subsystems/state-manager'
+import { StyleManager } from './subsystems/style-manager'
+import { ValidationManager } from './subsystems/validation-manager'
+
+export { css } from './utils/css'
+export { html, unsafeHTML } from './utils/html'
+export { memoryStorage, webStorage } from './subsystems/persistence-manager'
+export { Store, createStore } from './store'
+export { Stelar } from './registry'
 
 /**
  * STELAR - Stateful Element Augmentor
@@ -15,6 +28,10 @@ export class Component {
      * @param {Object} [options.initialState={}] - Initial state for the component
      * @param {boolean} [options.renderOnCreate=true] - Whether to render on component creation
      * @param {boolean} [options.renderOnStateChange=true] - Whether to automatically render on state changes
+     * @param {boolean|Object} [options.history=false] - Enable undo/redo, optionally with `{ depth, ignore }`
+     * @param {?Object} [options.persist=null] - Persist state, e.g. `{ key: 'todo', storage: 'local', include: ['todos'] }`
+     * @param {?Object} [options.visibility] - IntersectionObserver settings `{ root, rootMargin, threshold }`, overriding `static visibility`
+     * @param {?Component} [options.parent] - Parent component (found via the DOM when omitted)
      */
     constructor(element, options = {}) {
         this.element = element
@@ -22,6 +39,8 @@ export class Component {
             initialState: {},
             renderOnCreate: true,
             renderOnStateChange: true,
+            history: false,
+            persist: null,
             ...options,
         }
 
@@ -30,12 +49,39 @@ export class Component {
         this.hasRenderedInitially = false
         element._component = this
 
+        // Link into the component tree
+        this._children = new Set()
+        this.parent = this.options.parent ?? Component._findParent(element)
+        this.parent?._children.add(this)
+        this._hostProps = { ...this.options.initialState }
+
+        // Inject the scoped `static styles` of this class and mark the host
+        this.styleManager = this.constructor.styles
+            ? new StyleManager(this)
+            : null
+
+        // Read typed props declared in `static props` from the host's attributes
+        this.propsManager = this.constructor.props
+            ? new PropsManager(this, this.constructor.props)
+            : null
+
+        // Read persisted state first so it can take part in the initial state
+        this.persistenceManager = this.options.persist
+            ? new PersistenceManager(this, this.options.persist)
+            : null
+
         // Initialize core subsystems
         this.stateManager = new StateManager(
             this,
-            { ...this.initialState(), ...this.options.initialState },
+            {
+                ...this.initialState(),
+                ...this.propsManager?.initialProps,
+                ...this.options.initialState,
+                ...this.persistenceManager?.restoredState,
+            },
             this.options.renderOnStateChange
         )
+        this.stateManager.defineComputed(this.computed())
         this.eventManager = new EventManager(this)
         this.renderer = new Renderer(this)
         this.lifecycleObserver = new LifecycleObserver(this)
@@ -43,12 +89,37 @@ export class Component {
         // Get state from the state manager
         this.state = this.stateManager.state
 
+        // Sync `data-bind` form controls with state
+        this.bindingManager = new BindingManager(this)
+        this.resourceManager = new ResourceManager(this)
+
         // Store component element references across renders
         this._refs = new Map()
 
+        // Teardown functions for subscriptions that outlive the subsystems (e.g. stores)
+        this._cleanups = []
+
+        this.propsManager?.start()
+        this.persistenceManager?.start()
+
         // Initialize component
         this.init()
 
+        // Validate state paths against the rules of validation()
+        const rules = this.validation()
+        this.validationManager =
+            Object.keys(rules).length > 0
+                ? new ValidationManager(this, rules)
+                : null
+
+        // Start recording history once the initial state is settled
+        this.historyManager = this.options.history
+            ? new HistoryManager(
+                  this,
+                  this.options.history === true ? {} : this.options.history
+              )
+            : null
+
         // Handle *initial* connected state and render (if already in DOM)
         // The LifecycleObserver will handle connection if it happens later.
         if (document.contains(this.element)) {
@@ -74,6 +145,51 @@ export class Component {
         return instances
     }
 
+    /**
+     * Find the nearest ancestor element that is controlled by a component
+     * @param {HTMLElement} element - The element to start from
+     * @returns {?Component} The closest ancestor component, if any
+     */
+    static _findParent(element) {
+        for (
+            let node = element.parentElement;
+            node;
+            node = node.parentElement
+        ) {
+            if (node._component && !node._component.isDestroyed) {
+                return node._component
+            }
+        }
+        return null
+    }
+
+    /**
+     * Child components currently mounted inside this component
+     * @returns {Component[]} The child components
+     */
+    get children() {
+        return Array.from(this._children)
+    }
+
+    /**
+     * @private Apply props passed down from the parent's rendered markup.
+     * Only props whose value changed since they were last applied are set.
+     * @param {Object} props - Props read from the host element
+     */
+    _updateProps(props) {
+        const changed = Object.fromEntries(
+            Object.entries(props).filter(
+                ([name, value]) =>
+                    JSON.stringify(value) !==
+                    JSON.stringify(this._hostProps[name])
+            )
+        )
+        this._hostProps = props
+        if (Object.keys(changed).length > 0) {
+            this.setState(changed)
+        }
+    }
+
     /**
      * Override to provide initial state for the component
      * @returns {Object} Initial state object
@@ -82,6 +198,15 @@ export class Component {
         return {}
     }
 
+    /**
+     * Define computed (derived) state properties
+     * Override in subclass
+     * @returns {Object<string, Function>} Map of property names to getter functions
+     */
+    computed() {
+        return {}
+    }
+
     ref(id) {
         return this._refs.get(id)
     }
@@ -117,6 +242,22 @@ export class Component {
         return null // Override in subclasses
     }
 
+    /**
+     * Decide whether a state change should render, after `renderProps()` filtering
+     * @param {Set<string>} changedProps - Property paths that changed
+     * @returns {boolean} False to skip this render
+     */
+    shouldRender(changedProps) {
+        return true // Override in subclasses
+    }
+
+    /**
+     * Called before each full or partial render, e.g. to measure the current DOM
+     */
+    beforeRender() {
+        // To be implemented by subclasses
+    }
+
     /**
      * Render the component's UI
      * Override in subclass
@@ -125,11 +266,42 @@ export class Component {
         // To be implemented by subclasses
     }
 
+    /**
+     * Called after each full or partial render, e.g. to set up third-party widgets
+     * @param {Set<string>} changedProps - Property paths that changed (empty for the initial render)
+     * @param {Object} info - Render details
+     * @param {boolean} info.full - True for full renders, false for `renderMap` updates
+     */
+    afterRender(changedProps, { full }) {
+        // To be implemented by subclasses
+    }
+
     /**
      * Wait until component has finished rendering
+     * @returns {Promise<void>} Resolves once the pending render has committed,
+     * or right away if no render is queued
      */
     async waitForRender() {
-        return new Promise((resolve) => requestAnimationFrame(resolve))
+        return this.renderer.whenRendered()
+    }
+
+    /**
+     * Group many state changes into a single render and a single watcher notification
+     * @param {Function} fn - Function making state changes, called with the component as `this`
+     * @returns {*} The return value of fn
+     */
+    batch(fn) {
+        return this.stateManager.batch(() => fn.call(this))
+    }
+
+    /**
+     * Run pending watchers and any pending render immediately
+     * @returns {Component} This component instance for chaining
+     */
+    flushSync() {
+        this.stateManager.flushSubscribers()
+        this.renderer.flush()
+        return this
     }
 
     /**
@@ -142,26 +314,151 @@ export class Component {
         return this
     }
 
+    /**
+     * Watch a state path and run a side effect when it changes.
+     * Watchers are removed automatically when the component is destroyed.
+     * @param {string} path - Dot-separated state path, `*` matches any single segment
+     * @param {Function} callback - Called with (newValue, oldValue, path), bound to the component
+     * @param {Object} [options] - Watch options
+     * @param {boolean} [options.immediate=false] - Call the callback right away with the current value
+     * @param {boolean} [options.deep=false] - Also fire when a nested path below the watched one changes
+     * @returns {Function} Function that stops watching
+     */
+    watch(path, callback, options = {}) {
+        return this.stateManager.watch(path, callback, options)
+    }
+
+    /**
+     * Connect the component to a shared store. Changes to the store feed into the
+     * component's changed props and render queue, so `renderProps` and `renderMap`
+     * can key on store paths. The subscription is removed on destroy().
+     * @param {Store} store - Store created with createStore()
+     * @param {?string[]} [keys=null] - Top-level store keys to react to (all when null)
+     * @returns {Function} Function that disconnects the store
+     */
+    connect(store, keys = null) {
+        const unsubscribe = store.subscribe((changes) => {
+            const paths = Array.from(changes.keys()).filter(
+                (path) => !keys || keys.includes(path.split('.')[0])
+            )
+            if (paths.length > 0 && !this.isDestroyed) {
+                this.stateManager.markChanged(paths)
+            }
+        })
+        this._cleanups.push(unsubscribe)
+        return unsubscribe
+    }
+
+    /**
+     * Load async data into `this.state[key]` as `{ data, error, loading }`.
+     * The loader receives an AbortSignal that aborts when a newer request replaces it
+     * or the component is destroyed. Calls while a request is in flight share it.
+     * @example this.resource('user', (signal) => fetch(`/api/users/${this.state.id}`, { signal }), { watch: 'id' })
+     * @param {string} key - Top-level state key for the resource
+     * @param {Function} loader - Called with an AbortSignal, returns data, a promise or a fetch Response (parsed as JSON)
+     * @param {Object} [options] - `{ watch: path(s) that trigger a new request, immediate: load right away (default true) }`
+     * @returns {{refetch: Function, abort: Function}} Controls for the resource
+     */
+    resource(key, loader, options) {
+        return this.resourceManager.define(key, loader, options)
+    }
+
+    /**
+     * Load a resource again. While a request is in flight, it is shared instead.
+     * @param {string} key - The resource key
+     * @returns {Promise<*>} Resolves with the data, or undefined if loading failed
+     */
+    refetch(key) {
+        return this.resourceManager.load(key)
+    }
+
+    /**
+     * Whether there is a state change to undo (requires the `history` option)
+     * @returns {boolean}
+     */
+    get canUndo() {
+        return this.historyManager?.canUndo ?? false
+    }
+
+    /**
+     * Whether there is an undone state change to redo (requires the `history` option)
+     * @returns {boolean}
+     */
+    get canRedo() {
+        return this.historyManager?.canRedo ?? false
+    }
+
+    /**
+     * Revert the last batch of state changes (requires the `history` option)
+     * @returns {boolean} True if a step was undone
+     */
+    undo() {
+        return this.historyManager?.undo() ?? false
+    }
+
+    /**
+     * Re-apply the last undone batch of state changes (requires the `history` option)
+     * @returns {boolean} True if a step was redone
+     */
+    redo() {
+        return this.historyManager?.redo() ?? false
+    }
+
     /**
      * Add an event listener to the component's element
      * @param {string} eventType - Event type to listen for
      * @param {string|Function} selector - CSS selector for delegation or handler function
      * @param {Function} [handler] - Event handler if selector is provided
-     * @returns {Component} This component instance for chaining
+     * @param {Object} [options] - `{ once, passive, capture, signal, debounce, throttle }`
+     * @returns {Function} Function removing this listener
      */
-    on(eventType, selector, handler) {
-        this.eventManager.on(eventType, selector, handler)
-        return this
+    on(eventType, selector, handler, options) {
+        return this.eventManager.on(eventType, selector, handler, options)
     }
 
     /**
-     * Remove an event listener from the component's element
+     * Add an event listener to a target outside the component (window, document,
+     * a MediaQueryList, ...) that is removed when the component is destroyed
+     * @param {EventTarget} target - The target to listen on
+     * @param {string} eventType - Event type to listen for
+     * @param {Function} handler - Event handler, bound to the component
+     * @param {Object} [options] - Same options as on()
+     * @returns {Function} Function removing this listener
+     */
+    listen(target, eventType, handler, options) {
+        return this.eventManager.listen(target, eventType, handler, options)
+    }
+
+    /**
+     * Call a handler for clicks outside the component's element, e.g. to close a dropdown
+     * @param {Function} handler - Event handler, bound to the component
+     * @param {Object} [options] - Same options as on()
+     * @returns {Function} Function removing this listener
+     */
+    onClickOutside(handler, options) {
+        return this.eventManager.onClickOutside(handler, options)
+    }
+
+    /**
+     * Bind keyboard shortcuts such as `{ 'mod+s': this.save, 'g g': this.top }`
+     * @param {Object<string, Function>} bindings - Handlers by shortcut, bound to the component
+     * @param {Object} [options] - `{ scope: 'element'|'document', allowInInputs, sequenceTimeout }`
+     * @returns {Function} Function removing these shortcuts
+     */
+    hotkeys(bindings, options) {
+        return this.eventManager.hotkeys(bindings, options)
+    }
+
+    /**
+     * Remove event listeners from the component's element. Without a handler, all listeners
+     * for the event type (and selector, if given) are removed.
      * @param {string} eventType - Event type to remove
-     * @param {Function} handler - Original handler function to remove
+     * @param {string|Function} [selector] - Delegation selector, or the handler when no selector is given
+     * @param {Function} [handler] - Original handler function to remove
      * @returns {Component} This component instance for chaining
      */
-    off(eventType, handler) {
-        this.eventManager.off(eventType, handler)
+    off(eventType, selector, handler) {
+        this.eventManager.off(eventType, selector, handler)
         return this
     }
 
@@ -176,6 +473,66 @@ export class Component {
         return this
     }
 
+    /**
+     * Override to validate state paths. Rules per path: `required`, `pattern`, `min`, `max`
+     * (numbers by value, strings and arrays by length), `validate(value, state)` returning
+     * true, false or an error message (or a promise of one) and `messages` per rule.
+     * @example return { 'user.email': { required: true, pattern: /@/ }, age: { min: 18 } }
+     * @returns {Object<string, Object>} Rules by state path
+     */
+    validation() {
+        return {}
+    }
+
+    /**
+     * Current validation errors
+     * @returns {Object<string, string>} Error messages by state path
+     */
+    get errors() {
+        return this.validationManager?.store.state.errors ?? {}
+    }
+
+    /**
+     * Fields the user has left (or all fields after a submit attempt)
+     * @returns {Object<string, boolean>} Touched flags by state path
+     */
+    get touched() {
+        return this.validationManager?.store.state.touched ?? {}
+    }
+
+    /**
+     * Whether all fields are valid and no async validator is pending
+     * @returns {boolean}
+     */
+    get isValid() {
+        return this.validationManager?.store.state.isValid ?? true
+    }
+
+    /**
+     * Validate fields now, waiting for async validators
+     * @param {...string} paths - State paths (all validated paths when omitted)
+     * @returns {Promise<boolean>} Resolves with whether the fields are valid
+     */
+    validate(...paths) {
+        return (
+            this.validationManager?.validate(...paths) ?? Promise.resolve(true)
+        )
+    }
+
+    /**
+     * Handle form submissions inside the component. Invalid submissions are blocked,
+     * all fields are marked as touched and the first invalid `data-ref` control is focused.
+     * @param {Function} handler - Called with the submit event once the form is valid
+     * @returns {Function} Function removing the submit listener
+     */
+    onSubmit(handler) {
+        return this.on('submit', (event) =>
+            this.validationManager
+                ? this.validationManager.handleSubmit(event, handler)
+                : handler.call(this, event)
+        )
+    }
+
     /**
      * Lifecycle hook called when component is connected to the DOM
      */
@@ -233,18 +590,77 @@ export class Component {
 
     /**
      * Lifecycle hook called when component becomes visible in viewport
+     * @param {IntersectionObserverEntry} entry - The intersection entry
      */
-    visibleCallback() {
+    visibleCallback(entry) {
         // To be implemented by subclasses
     }
 
     /**
      * Lifecycle hook called when component becomes hidden from viewport
+     * @param {IntersectionObserverEntry} entry - The intersection entry
      */
-    hiddenCallback() {
+    hiddenCallback(entry) {
         // To be implemented by subclasses
     }
 
+    /**
+     * Lifecycle hook called whenever the visible portion of the component changes
+     * (at each configured `threshold`)
+     * @param {number} ratio - Visible ratio between 0 and 1
+     * @param {IntersectionObserverEntry} entry - The intersection entry
+     */
+    visibilityChangedCallback(ratio, entry) {
+        // To be implemented by subclasses
+    }
+
+    /**
+     * Lifecycle hook called with errors thrown while rendering or in event handlers, by this
+     * component or its descendants. Overriding it makes the component an error boundary.
+     * @param {Error} error - The thrown error
+     * @param {string} phase - 'render', 'renderMap' or 'event'
+     * @param {Component} component - The component the error occurred in
+     */
+    errorCallback(error, phase, component) {
+        // To be implemented by subclasses
+    }
+
+    /**
+     * Override to render fallback markup when render() or a renderMap function throws.
+     * Returning null keeps the last successfully rendered DOM.
+     * @param {Error} error - The thrown error
+     * @returns {?string|TemplateResult} Fallback markup
+     */
+    renderError(error) {
+        return null
+    }
+
+    /**
+     * Pass an error to the nearest error boundary (this component or an ancestor
+     * overriding errorCallback), or log it if there is none
+     * @param {Error} error - The thrown error
+     * @param {string} phase - 'render', 'renderMap' or 'event'
+     */
+    _handleError(error, phase) {
+        for (let boundary = this; boundary; boundary = boundary.parent) {
+            if (
+                boundary.isDestroyed ||
+                boundary.errorCallback === Component.prototype.errorCallback
+            ) {
+                continue
+            }
+
+            try {
+                boundary.errorCallback(error, phase, this)
+                return
+            } catch (boundaryError) {
+                // A failing boundary is logged and the error moves on to the next one
+                console.error(boundaryError)
+            }
+        }
+        console.error(error)
+    }
+
     /**
      * Clean up and destroy the component
      */
@@ -255,11 +671,24 @@ export class Component {
         this.isDestroyed = true
         this.isConnected = false // Ensure disconnected state on destroy
 
-        // Destroy subsystems first
+        // Children don't outlive their parent
+        this._children.forEach((child) => child.destroy())
+        this.parent?._children.delete(this)
+
+        // Run registered teardown functions and destroy subsystems first
+        this._cleanups.forEach((cleanup) => cleanup())
+        this._cleanups = []
+        this.historyManager?.destroy()
+        this.persistenceManager?.destroy()
+        this.propsManager?.destroy()
+        this.bindingManager.destroy()
+        this.validationManager?.destroy()
+        this.resourceManager.destroy()
         this.lifecycleObserver.destroy()
         this.eventManager.destroy()
         this.renderer.destroy()
         this.stateManager.destroy()
+        this.styleManager?.destroy()
 
         // Clean up element reference
         if (this.element._component === this) {
@@ -272,7 +701,15 @@ export class Component {
         this.eventManager = null
         this.renderer = null
         this.lifecycleObserver = null
+        this.historyManager = null
+        this.persistenceManager = null
+        this.propsManager = null
+        this.bindingManager = null
+        this.validationManager = null
+        this.resourceManager = null
+        this.styleManager = null
         this.state = null
         this.options = null
+        this.parent = null
     }
 }
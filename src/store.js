@@ -0,0 +1,79 @@
+import { StateManager } from './subsystems/state-manager'
+
+/**
+ * Standalone reactive state that can be shared between components
+ */
+export class Store {
+    /**
+     * Create a new store
+     * @param {Object} [initialState={}] - Initial state values
+     * @param {Object} [options] - Store options
+     * @param {Object<string, Function>} [options.computed] - Computed properties, getters receive the state
+     */
+    constructor(initialState = {}, { computed = {} } = {}) {
+        this.stateManager = new StateManager(null, initialState, true)
+        this.stateManager.defineComputed(computed)
+        this.state = this.stateManager.state
+
+        // A store has no renderer consuming the changed props, so release them after each flush
+        this.stateManager.subscribe(() => this.stateManager.clearChangedProps())
+    }
+
+    /**
+     * Update multiple state properties at once
+     * @param {Object} newState - State properties to update
+     * @returns {Store} This store instance
+     */
+    setState(newState) {
+        this.stateManager.setState(newState)
+        return this
+    }
+
+    /**
+     * Subscribe to state changes, batched per microtask
+     * @param {Function} subscriber - Called with a Map of changed paths to their previous values
+     * @returns {Function} Function that removes the subscription
+     */
+    subscribe(subscriber) {
+        return this.stateManager.subscribe(subscriber)
+    }
+
+    /**
+     * Watch a state path for changes
+     * @param {string} path - Dot-separated state path, `*` matches any single segment
+     * @param {Function} callback - Called with (newValue, oldValue, path)
+     * @param {Object} [options] - Watch options (`immediate`, `deep`)
+     * @returns {Function} Function that stops watching
+     */
+    watch(path, callback, options = {}) {
+        return this.stateManager.watch(path, callback, options)
+    }
+
+    /**
+     * Group many state changes into a single notification
+     * @param {Function} fn - Function making state changes
+     * @returns {*} The return value of fn
+     */
+    batch(fn) {
+        return this.stateManager.batch(fn)
+    }
+
+    /**
+     * Release all subscriptions and state
+     */
+    destroy() {
+        this.stateManager.destroy()
+        this.stateManager = null
+        this.state = null
+    }
+}
+
+/**
+ * Create a store that multiple components can share via `component.connect(store)`
+ * @param {Object} [initialState={}] - Initial state values
+ * @param {Object} [options] - Store options (`computed`)
+ * @returns {Store} The new store
+ */
+export function createStore(initialState = {}, options = {}) {
+    return new Store(initialState, options)
+}
@@ -0,0 +1,229 @@
+import { isEqual } from '../utils/clone'
+import { getPath, setPath } from '../utils/path'
+
+/**
+ * Parse the `data-bind` attribute of a form control
+ * @param {Element} field - The form control
+ * @returns {?{path: string, number: boolean, date: boolean, lazy: boolean}} The binding, or null if unbound
+ */
+export function parseBinding(field) {
+    const value = field.getAttribute('data-bind')
+    if (!value) return null
+
+    const [path, ...modifiers] = value.split('|').map((part) => part.trim())
+    return {
+        path,
+        number:
+            modifiers.includes('number') ||
+            ['number', 'range'].includes(field.type),
+        date: modifiers.includes('date'),
+        lazy: modifiers.includes('lazy'),
+    }
+}
+
+/**
+ * Pad a date part to two digits
+ * @param {number} value - The date part
+ * @returns {string} The padded value
+ */
+function pad(value) {
+    return String(value).padStart(2, '0')
+}
+
+/**
+ * Format a date the way a date or time input expects its value
+ * @param {Date} date - The date to format
+ * @param {string} type - The input type
+ * @returns {string} The input value
+ */
+function formatDate(date, type) {
+    if (!(date instanceof Date) || isNaN(date)) return ''
+    // Date inputs are parsed as UTC, date-times as local time
+    if (type === 'date') return date.toISOString().slice(0, 10)
+
+    const local = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`
+    return type === 'time' ? local.slice(11) : local
+}
+
+/**
+ * Convert a raw control value into a state value according to the binding modifiers
+ * @param {string} raw - The raw control value
+ * @param {Object} binding - The parsed binding
+ * @returns {*} The coerced value
+ */
+function coerce(raw, binding) {
+    if (binding.number) {
+        return raw.trim() === '' ? null : Number(raw)
+    }
+    if (binding.date) {
+        return raw ? new Date(raw) : null
+    }
+    return raw
+}
+
+/**
+ * Compare state values, treating dates with the same time as equal
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values are equal
+ */
+function isSameValue(a, b) {
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime()
+    }
+    return isEqual(a, b)
+}
+
+/**
+ * Keeps form controls with a `data-bind` attribute in sync with state paths
+ */
+export class BindingManager {
+    /**
+     * Create a new binding manager
+     * @param {Component} component - The component whose controls are bound
+     */
+    constructor(component) {
+        this.component = component
+        this.element = component.element
+        this.isDestroyed = false
+
+        this._handleEvent = this._handleEvent.bind(this)
+        this.element.addEventListener('input', this._handleEvent)
+        this.element.addEventListener('change', this._handleEvent)
+        this._unsubscribe = component.stateManager.subscribe(() => this.sync())
+
+        this.sync()
+    }
+
+    /**
+     * Get the bound controls owned by this component (not by child components)
+     * @returns {Element[]} The bound controls
+     */
+    _getFields() {
+        return Array.from(this.element.querySelectorAll('[data-bind]')).filter(
+            (field) => this._owns(field)
+        )
+    }
+
+    /**
+     * Check whether a control belongs to this component rather than a nested child
+     * @param {Element} field - The form control
+     * @returns {boolean} True if no child component host lies in between
+     */
+    _owns(field) {
+        for (
+            let node = field;
+            node && node !== this.element;
+            node = node.parentNode
+        ) {
+            if (node._component && node._component !== this.component) {
+                return false
+            }
+        }
+        return this.element.contains(field)
+    }
+
+    /**
+     * Write the value of a changed control to state
+     * @param {Event} event - An input or change event
+     */
+    _handleEvent(event) {
+        const field = event.target
+        const binding = parseBinding(field)
+        if (!binding || !this._owns(field)) return
+        if (binding.lazy && event.type === 'input') return
+
+        const current = getPath(this.component.state, binding.path)
+        const value = this._read(field, binding, current)
+        if (value === undefined || isSameValue(value, current)) return
+
+        setPath(this.component.state, binding.path, value)
+    }
+
+    /**
+     * Read the state value a control represents
+     * @param {Element} field - The form control
+     * @param {Object} binding - The parsed binding
+     * @param {*} current - The current state value
+     * @returns {*} The value, or undefined if the control doesn't provide one (unchecked radio)
+     */
+    _read(field, binding, current) {
+        if (field.type === 'checkbox') {
+            if (!Array.isArray(current)) return field.checked
+
+            // Checkboxes bound to an array toggle their value in it
+            const value = coerce(field.value, binding)
+            const others = current.filter((item) => !isSameValue(item, value))
+            return field.checked ? [...others, value] : others
+        }
+        if (field.type === 'radio') {
+            return field.checked ? coerce(field.value, binding) : undefined
+        }
+        if (field.type === 'select-multiple') {
+            return Array.from(field.options)
+                .filter((option) => option.selected)
+                .map((option) => coerce(option.value, binding))
+        }
+        return coerce(field.value, binding)
+    }
+
+    /**
+     * Update all bound controls from state. Called after state changes and renders.
+     * The control the user is typing into is left alone while it already matches the state.
+     */
+    sync() {
+        if (this.isDestroyed) return
+
+        this._getFields().forEach((field) => {
+            const binding = parseBinding(field)
+            const value = getPath(this.component.state, binding.path)
+
+            if (field.type === 'checkbox') {
+                field.checked = Array.isArray(value)
+                    ? value.some((item) =>
+                          isSameValue(item, coerce(field.value, binding))
+                      )
+                    : Boolean(value)
+            } else if (field.type === 'radio') {
+                field.checked = isSameValue(coerce(field.value, binding), value)
+            } else if (field.type === 'select-multiple') {
+                const selected = Array.isArray(value) ? value : []
+                Array.from(field.options).forEach((option) => {
+                    option.selected = selected.some((item) =>
+                        isSameValue(item, coerce(option.value, binding))
+                    )
+                })
+            } else {
+                // Don't rewrite what's being typed, e.g. "1.0" for the number 1
+                if (
+                    field === document.activeElement &&
+                    isSameValue(this._read(field, binding, value), value)
+                ) {
+                    return
+                }
+
+                const formatted =
+                    value instanceof Date
+                        ? formatDate(value, field.type)
+                        : String(value ?? '')
+                if (field.value !== formatted) {
+                    field.value = formatted
+                }
+            }
+        })
+    }
+
+    /**
+     * Stop syncing controls
+     */
+    destroy() {
+        if (this.isDestroyed) return
+        this.isDestroyed = true
+
+        this.element.removeEventListener('input', this._handleEvent)
+        this.element.removeEventListener('change', this._handleEvent)
+        this._unsubscribe()
+        this.component = null
+        this.element = null
+    }
+}
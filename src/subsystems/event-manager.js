@@ -1,3 +1,115 @@
+// Non-bubbling events and the bubbling events used to delegate them
+const delegatedEventTypes = {
+    focus: 'focusin',
+    blur: 'focusout',
+    mouseenter: 'mouseover',
+    mouseleave: 'mouseout',
+}
+
+// Keys that only modify other keys and never complete a shortcut step
+const modifierKeys = ['Shift', 'Control', 'Alt', 'Meta']
+
+// Friendlier names for `event.key` values in shortcut definitions
+const keyAliases = {
+    space: ' ',
+    esc: 'escape',
+    up: 'arrowup',
+    down: 'arrowdown',
+    left: 'arrowleft',
+    right: 'arrowright',
+    plus: '+',
+}
+
+/**
+ * Check whether shortcuts should use Cmd instead of Ctrl for `mod`
+ * @returns {boolean} True on macOS and iOS
+ */
+function isApplePlatform() {
+    const platform =
+        navigator.userAgentData?.platform ?? navigator.platform ?? ''
+    return /mac|iphone|ipad|ipod/i.test(platform)
+}
+
+/**
+ * Parse a shortcut definition like 'mod+shift+k' or 'g g' into its steps
+ * @param {string} shortcut - The shortcut definition
+ * @returns {Array<{key: string, ctrl: boolean, alt: boolean, shift: boolean, meta: boolean}>} One entry per key press
+ */
+function parseShortcut(shortcut) {
+    const mod = isApplePlatform() ? 'meta' : 'ctrl'
+
+    return shortcut
+        .trim()
+        .split(/\s+/)
+        .map((step) => {
+            // A trailing '+' is the plus key itself ('ctrl++')
+            const parts = step.toLowerCase().split(/\+(?!$)/)
+            const key = parts.pop()
+            const modifiers = parts.map((part) =>
+                part === 'mod' ? mod : part === 'control' ? 'ctrl' : part
+            )
+            return {
+                key: keyAliases[key] ?? key,
+                ctrl: modifiers.includes('ctrl'),
+                alt: modifiers.includes('alt'),
+                shift: modifiers.includes('shift'),
+                meta: modifiers.includes('meta') || modifiers.includes('cmd'),
+            }
+        })
+}
+
+/**
+ * Check whether a key press matches one step of a shortcut
+ * @param {Object} step - A parsed shortcut step
+ * @param {KeyboardEvent} event - The key press
+ * @returns {boolean} True if key and modifiers match
+ */
+function matchesStep(step, event) {
+    const key = event.key.toLowerCase()
+    // Shift is part of the key for symbols like '?', so only letters check it
+    const checkShift = step.shift || /^[a-z]$/.test(step.key) || key.length > 1
+
+    return (
+        key === step.key &&
+        event.ctrlKey === step.ctrl &&
+        event.altKey === step.alt &&
+        event.metaKey === step.meta &&
+        (!checkShift || event.shiftKey === step.shift)
+    )
+}
+
+/**
+ * Check whether an event comes from a control the user is typing into
+ * @param {Event} event - The key press
+ * @returns {boolean} True for inputs, textareas, selects and editable content
+ */
+function isTyping(event) {
+    const target = event.target
+    return (
+        ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.nodeName) ||
+        Boolean(target.isContentEditable)
+    )
+}
+
+/**
+ * Read the event bindings of an element's `data-on` attribute
+ * @param {Element} element - The element to inspect
+ * @returns {Array<{eventType: string, method: string}>} Bindings like 'click:increment'
+ */
+function parseEventBindings(element) {
+    const value = element.getAttribute('data-on')
+    if (!value) return []
+
+    return value
+        .trim()
+        .split(/\s+/)
+        .map((binding) => {
+            const [eventType, method] = binding.split(':')
+            return { eventType, method }
+        })
+        .filter(({ eventType, method }) => eventType && method)
+}
+
 /**
  * Manages event handling and delegation for components
  */
@@ -9,7 +121,98 @@ export class EventManager {
     constructor(component) {
         this.component = component
         this.element = component.element
-        this.eventHandlers = new Map()
+        // One record per registered listener, so a handler can be bound several times
+        this.eventHandlers = new Set()
+        this._timers = new Set()
+
+        // Delegated listeners for `data-on` bindings by event type, untouched by off()
+        this._bindingListeners = new Map()
+        this.scanEventBindings()
+    }
+
+    /**
+     * Add one delegated listener for every event type used in `data-on` attributes
+     * (e.g. `data-on="click:increment submit:save"`) that isn't listened to yet.
+     * Called at creation and after each render.
+     */
+    scanEventBindings() {
+        const elements = [
+            ...this.element.querySelectorAll('[data-on]'),
+            ...(this._ownsHostBindings() ? [this.element] : []),
+        ]
+        elements.forEach((element) => {
+            parseEventBindings(element).forEach(({ eventType }) => {
+                if (this._bindingListeners.has(eventType)) return
+
+                const dispatch = (event) =>
+                    this._dispatchEventBindings(eventType, event)
+                this._bindingListeners.set(eventType, dispatch)
+                this._addListener(
+                    this.element,
+                    delegatedEventTypes[eventType] ?? eventType,
+                    null,
+                    dispatch,
+                    { internal: true }
+                )
+            })
+        })
+    }
+
+    /**
+     * Check whether the `data-on` of the component's own element is handled here.
+     * A child's host is part of its parent's markup, so the parent handles it.
+     * @returns {boolean} True for components without a parent
+     */
+    _ownsHostBindings() {
+        return !this.component.parent
+    }
+
+    /**
+     * Call the component methods bound to an event type on the event's path, innermost first
+     * @param {string} eventType - The event type used in `data-on`
+     * @param {Event} event - The DOM event
+     */
+    _dispatchEventBindings(eventType, event) {
+        const end = this._ownsHostBindings()
+            ? this.element.parentNode
+            : this.element
+        let path = []
+        for (
+            let node = event.target;
+            node && node !== end;
+            node = node.parentNode
+        ) {
+            if (node.nodeType !== Node.ELEMENT_NODE) continue
+
+            // Markup inside a child component belongs to the child, its host to us
+            if (node._component && node._component !== this.component) {
+                path = []
+            }
+            path.push(node)
+        }
+
+        for (const element of path) {
+            if (event.cancelBubble) return
+            if (
+                (eventType === 'mouseenter' || eventType === 'mouseleave') &&
+                event.relatedTarget &&
+                element.contains(event.relatedTarget)
+            ) {
+                continue
+            }
+
+            parseEventBindings(element)
+                .filter((binding) => binding.eventType === eventType)
+                .forEach(({ method }) => {
+                    if (typeof this.component[method] !== 'function') {
+                        console.error(
+                            `Unknown data-on handler "${method}" on ${this.component.constructor.name}`
+                        )
+                        return
+                    }
+                    this._invoke(() => this.component[method](event, element))
+                })
+        }
     }
 
     /**
@@ -17,50 +220,352 @@ export class EventManager {
      * @param {string} eventType - Event type to listen for
      * @param {string|Function} selector - CSS selector for delegation or handler function
      * @param {Function} [handler] - Event handler if selector is provided
-     * @returns {EventManager} This event manager instance
+     * @param {Object} [options] - Listener options
+     * @param {boolean} [options.once] - Remove the listener after its first call
+     * @param {boolean} [options.passive] - Promise never to call preventDefault()
+     * @param {boolean} [options.capture] - Listen in the capture phase
+     * @param {AbortSignal} [options.signal] - Remove the listener when the signal aborts
+     * @param {number} [options.debounce] - Only call the handler once events paused for this many ms
+     * @param {number} [options.throttle] - Call the handler at most once per this many ms
+     * @returns {Function} Function removing this listener
      */
-    on(eventType, selector, handler) {
+    on(eventType, selector, handler, options = {}) {
         if (typeof selector === 'function') {
+            options = handler ?? {}
             handler = selector
             selector = null
         }
+        return this._addListener(
+            this.element,
+            eventType,
+            selector,
+            handler,
+            options
+        )
+    }
+
+    /**
+     * Add an event listener to a target outside the component, such as `window`, `document`
+     * or a `MediaQueryList`. It is removed when the component is destroyed.
+     * @param {EventTarget} target - The target to listen on
+     * @param {string} eventType - Event type to listen for
+     * @param {Function} handler - Event handler, bound to the component
+     * @param {Object} [options] - Listener options, see on()
+     * @returns {Function} Function removing this listener
+     */
+    listen(target, eventType, handler, options = {}) {
+        return this._addListener(target, eventType, null, handler, options)
+    }
+
+    /**
+     * Call a handler for clicks that land outside the component's element
+     * @param {Function} handler - Event handler, bound to the component
+     * @param {Object} [options] - Listener options, see on()
+     * @returns {Function} Function removing this listener
+     */
+    onClickOutside(handler, options = {}) {
+        return this.listen(
+            document,
+            'click',
+            function (event) {
+                // The path is fixed at dispatch, so re-rendered (detached) targets still count as inside
+                if (!event.composedPath().includes(this.element)) {
+                    handler.call(this, event)
+                }
+            },
+            options
+        )
+    }
+
+    /**
+     * Bind keyboard shortcuts. Keys are `event.key` names joined with modifiers
+     * (`ctrl`, `alt`, `shift`, `meta`, and `mod` for Cmd on Apple platforms, Ctrl elsewhere).
+     * Space-separated steps form a sequence, e.g. 'g g'. Matched key presses are prevented.
+     * @example hotkeys({ 'mod+s': this.save, 'ArrowDown': this.next, 'g g': this.top })
+     * @param {Object<string, Function>} bindings - Handlers by shortcut, bound to the component
+     * @param {Object} [options] - Shortcut options
+     * @param {string} [options.scope='element'] - 'element' for key presses inside the component, 'document' for all
+     * @param {boolean} [options.allowInInputs=false] - Also handle key presses while typing in form controls
+     * @param {number} [options.sequenceTimeout=1000] - Max ms between the steps of a sequence
+     * @returns {Function} Function removing these shortcuts
+     */
+    hotkeys(
+        bindings,
+        {
+            scope = 'element',
+            allowInInputs = false,
+            sequenceTimeout = 1000,
+        } = {}
+    ) {
+        const shortcuts = Object.entries(bindings).map(
+            ([shortcut, handler]) => ({
+                steps: parseShortcut(shortcut),
+                handler,
+            })
+        )
+        const longest = Math.max(
+            ...shortcuts.map((shortcut) => shortcut.steps.length)
+        )
+        let pressed = []
+        let lastPress = 0
+
+        const handleKeydown = (event) => {
+            // Autofill and IME can fire keydown events without a key
+            if (typeof event.key !== 'string') return
+            if (modifierKeys.includes(event.key)) return
+            if (!allowInInputs && isTyping(event)) return
+
+            const now = Date.now()
+            if (now - lastPress > sequenceTimeout) {
+                pressed = []
+            }
+            lastPress = now
+            pressed = [...pressed, event].slice(-longest)
+
+            // The longest sequence ending with this key press wins
+            const match = shortcuts
+                .filter(
+                    ({ steps }) =>
+                        steps.length <= pressed.length &&
+                        steps.every((step, i) =>
+                            matchesStep(
+                                step,
+                                pressed[pressed.length - steps.length + i]
+                            )
+                        )
+                )
+                .sort((a, b) => b.steps.length - a.steps.length)[0]
+            if (!match) return
+
+            pressed = []
+            event.preventDefault()
+            this._invoke(() => match.handler.call(this.component, event))
+        }
+
+        const target = scope === 'document' ? document : this.element
+        // Hotkeys are only removed through the returned function, never by off('keydown')
+        return this._addListener(target, 'keydown', null, handleKeydown, {
+            internal: true,
+        })
+    }
+
+    /**
+     * Register a listener on a target and track it for removal
+     * @param {EventTarget} target - The target to listen on
+     * @param {string} eventType - Event type to listen for
+     * @param {?string} selector - CSS selector for delegation
+     * @param {Function} handler - Event handler
+     * @param {Object} options - Listener options, see on()
+     * @param {boolean} [options.internal=false] - Whether the listener is managed by the
+     * event manager itself (`data-on` bindings, hotkeys) and thus untouched by off()
+     * @returns {Function} Function removing this listener
+     */
+    _addListener(target, eventType, selector, handler, options) {
+        const {
+            once,
+            passive,
+            capture = false,
+            signal,
+            internal = false,
+        } = options
+        if (signal?.aborted) return () => {}
+
+        // Non-bubbling events never reach the element from its descendants
+        const domType = selector
+            ? (delegatedEventTypes[eventType] ?? eventType)
+            : eventType
+        const limiter = this._limit(
+            (event, delegateTarget) =>
+                this._invoke(() =>
+                    delegateTarget
+                        ? handler.call(this.component, event, delegateTarget)
+                        : handler.call(this.component, event)
+                ),
+            options
+        )
 
         const wrappedHandler = (event) => {
             if (this.component.isDestroyed) return
 
+            let delegateTarget = null
             if (selector) {
-                const target = event.target.closest(selector)
-                if (target && this.element.contains(target)) {
-                    handler.call(this.component, event, target)
-                }
-            } else {
-                handler.call(this.component, event)
+                delegateTarget = this._matchDelegated(
+                    event,
+                    selector,
+                    eventType
+                )
+                if (!delegateTarget) return
+            }
+
+            if (once) {
+                this._removeListener(listener)
             }
+            limiter.invoke(event, delegateTarget)
         }
 
-        this.eventHandlers.set(handler, { eventType, wrappedHandler })
-        this.element.addEventListener(eventType, wrappedHandler)
-        return this
+        const listener = {
+            target,
+            eventType,
+            selector,
+            handler,
+            options,
+            domType,
+            capture,
+            internal,
+            wrappedHandler,
+            cancel: once ? () => {} : limiter.cancel,
+        }
+        this.eventHandlers.add(listener)
+        target.addEventListener(domType, wrappedHandler, {
+            capture,
+            passive,
+        })
+        signal?.addEventListener(
+            'abort',
+            () => this._removeListener(listener),
+            {
+                once: true,
+            }
+        )
+        return () => this._removeListener(listener)
+    }
+
+    /**
+     * Run an event handler and report errors it throws or rejects with to the component
+     * @param {Function} call - Function calling the handler
+     */
+    _invoke(call) {
+        try {
+            const result = call()
+            if (typeof result?.then === 'function') {
+                result.then(null, (error) => this._reportError(error))
+            }
+        } catch (error) {
+            this._reportError(error)
+        }
     }
 
     /**
-     * Remove an event listener from the component's element
+     * Report an event handler error unless the component is gone
+     * @param {Error} error - The error
+     */
+    _reportError(error) {
+        if (this.component && !this.component.isDestroyed) {
+            this.component._handleError(error, 'event')
+        } else {
+            console.error(error)
+        }
+    }
+
+    /**
+     * Find the element matching a delegation selector for an event
+     * @param {Event} event - The DOM event
+     * @param {string} selector - CSS selector for delegation
+     * @param {string} eventType - The event type the handler was registered for
+     * @returns {?Element} The matching element inside the component, or null
+     */
+    _matchDelegated(event, selector, eventType) {
+        const target = event.target.closest(selector)
+        if (!target || !this.element.contains(target)) return null
+
+        // Like native mouseenter/mouseleave, ignore moves within the matched element
+        if (
+            (eventType === 'mouseenter' || eventType === 'mouseleave') &&
+            event.relatedTarget &&
+            target.contains(event.relatedTarget)
+        ) {
+            return null
+        }
+        return target
+    }
+
+    /**
+     * Wrap a call with the debounce or throttle timing from the listener options
+     * @param {Function} call - The function to limit
+     * @param {Object} options - Listener options
+     * @param {number} [options.debounce] - Debounce delay in ms
+     * @param {number} [options.throttle] - Throttle interval in ms
+     * @returns {{invoke: Function, cancel: Function}} The limited function and a function cancelling its timer
+     */
+    _limit(call, { debounce, throttle }) {
+        let timer = null
+        const cancel = () => {
+            clearTimeout(timer)
+            this._timers.delete(timer)
+            timer = null
+        }
+
+        if (debounce) {
+            const invoke = (...args) => {
+                cancel()
+                timer = setTimeout(() => {
+                    cancel()
+                    call(...args)
+                }, debounce)
+                this._timers.add(timer)
+            }
+            return { invoke, cancel }
+        }
+
+        if (throttle) {
+            const invoke = (...args) => {
+                if (timer) return
+                timer = setTimeout(cancel, throttle)
+                this._timers.add(timer)
+                call(...args)
+            }
+            return { invoke, cancel }
+        }
+
+        return { invoke: call, cancel }
+    }
+
+    /**
+     * Remove event listeners from the component's element (see listen() for other targets)
+     * @example off('click') // All click listeners
+     * @example off('click', '.item') // All click listeners delegated to '.item'
+     * @example off('click', handler) // `handler` for clicks, delegated or not
+     * @example off('click', '.item', handler) // `handler` for clicks delegated to '.item'
      * @param {string} eventType - Event type to remove
-     * @param {Function} handler - Original handler function to remove
+     * @param {string|Function} [selector] - Delegation selector, or the handler when no selector is given
+     * @param {Function} [handler] - Original handler function to remove
      * @returns {EventManager} This event manager instance
      */
-    off(eventType, handler) {
-        const handlerData = this.eventHandlers.get(handler)
-        if (handlerData && handlerData.eventType === eventType) {
-            this.element.removeEventListener(
-                eventType,
-                handlerData.wrappedHandler
-            )
-            this.eventHandlers.delete(handler)
+    off(eventType, selector, handler) {
+        if (typeof selector === 'function') {
+            handler = selector
+            selector = undefined
         }
+
+        Array.from(this.eventHandlers)
+            .filter(
+                (listener) =>
+                    listener.target === this.element &&
+                    !listener.internal &&
+                    listener.eventType === eventType &&
+                    (selector === undefined ||
+                        listener.selector === selector) &&
+                    (!handler || listener.handler === handler)
+            )
+            .forEach((listener) => this._removeListener(listener))
         return this
     }
 
+    /**
+     * Detach a registered listener from the element and cancel its pending timer
+     * @param {Object} listener - The registered listener
+     */
+    _removeListener(listener) {
+        if (!this.eventHandlers.delete(listener)) return
+
+        listener.cancel()
+        listener.target.removeEventListener(
+            listener.domType,
+            listener.wrappedHandler,
+            { capture: listener.capture }
+        )
+    }
+
     /**
      * Emit a custom event from the component's element
      * @param {string} eventName - Name of the event to emit
@@ -78,15 +583,11 @@ export class EventManager {
     }
 
     /**
-     * Clean up all event listeners
+     * Clean up all event listeners and pending debounce/throttle timers
      */
     destroy() {
-        for (const [handler, handlerData] of this.eventHandlers.entries()) {
-            this.element.removeEventListener(
-                handlerData.eventType,
-                handlerData.wrappedHandler
-            )
-            this.eventHandlers.delete(handler)
-        }
+        this.eventHandlers.forEach((listener) => this._removeListener(listener))
+        this._timers.forEach((timer) => clearTimeout(timer))
+        this._timers.clear()
     }
 }
@@ -0,0 +1,133 @@
+/**
+ * Records state snapshots for undo and redo
+ */
+export class HistoryManager {
+    /**
+     * Create a new history manager
+     * @param {Component} component - The component whose state is recorded
+     * @param {Object} [options] - History options
+     * @param {number} [options.depth=100] - Maximum number of undo steps kept
+     * @param {string[]} [options.ignore=[]] - Top-level state keys that are not undoable (e.g. UI-only flags)
+     */
+    constructor(component, { depth = 100, ignore = [] } = {}) {
+        this.component = component
+        this.stateManager = component.stateManager
+        this.depth = depth
+        this.ignore = ignore
+        this._undoStack = []
+        this._redoStack = []
+        this._isRestoring = false
+
+        // Settle changes made during initialization so they become part of the baseline
+        this.stateManager.flushSubscribers()
+        this._current = this.stateManager.getSnapshot(this.ignore)
+
+        this._unsubscribe = this.stateManager.subscribe((changes) =>
+            this._record(changes)
+        )
+    }
+
+    /**
+     * Whether there is a step to undo
+     * @returns {boolean}
+     */
+    get canUndo() {
+        return this._undoStack.length > 0
+    }
+
+    /**
+     * Whether there is a step to redo
+     * @returns {boolean}
+     */
+    get canRedo() {
+        return this._redoStack.length > 0
+    }
+
+    /**
+     * Record one undo step for a batch of state changes
+     * @param {Map<string, *>} changes - Changed paths of the batch
+     */
+    _record(changes) {
+        if (this._isRestoring) return
+
+        const isUndoable = Array.from(changes.keys()).some((path) => {
+            const key = path.split('.')[0]
+            return (
+                !this.ignore.includes(key) && !this.stateManager.isComputed(key)
+            )
+        })
+        if (!isUndoable) return
+
+        this._undoStack.push(this._current)
+        if (this._undoStack.length > this.depth) {
+            this._undoStack.shift()
+        }
+        this._redoStack = []
+        this._current = this.stateManager.getSnapshot(this.ignore)
+    }
+
+    /**
+     * Revert the state to before the last recorded batch of changes
+     * @returns {boolean} True if a step was undone
+     */
+    undo() {
+        // Record changes that haven't been flushed yet, so they are what gets undone
+        this.stateManager.flushSubscribers()
+        if (!this.canUndo) return false
+
+        this._redoStack.push(this._current)
+        this._apply(this._undoStack.pop())
+        return true
+    }
+
+    /**
+     * Re-apply the last undone batch of changes
+     * @returns {boolean} True if a step was redone
+     */
+    redo() {
+        this.stateManager.flushSubscribers()
+        if (!this.canRedo) return false
+
+        this._undoStack.push(this._current)
+        this._apply(this._redoStack.pop())
+        return true
+    }
+
+    /**
+     * Forget all recorded steps and use the current state as the new baseline
+     */
+    clear() {
+        this.stateManager.flushSubscribers()
+        this._undoStack = []
+        this._redoStack = []
+        this._current = this.stateManager.getSnapshot(this.ignore)
+    }
+
+    /**
+     * Restore a snapshot through the reactive state so the normal render path runs
+     * @param {Object} snapshot - Snapshot to restore
+     */
+    _apply(snapshot) {
+        this._current = snapshot
+        this._isRestoring = true
+        try {
+            this.stateManager.restoreSnapshot(snapshot, this.ignore)
+            // Deliver the restore to subscribers now, while it is flagged as such
+            this.stateManager.flushSubscribers()
+        } finally {
+            this._isRestoring = false
+        }
+    }
+
+    /**
+     * Stop recording and release the recorded snapshots
+     */
+    destroy() {
+        this._unsubscribe()
+        this._undoStack = []
+        this._redoStack = []
+        this._current = null
+        this.component = null
+        this.stateManager = null
+    }
+}
@@ -1,3 +1,185 @@
+// Visibility hooks that make a component need an IntersectionObserver
+const VISIBILITY_HOOKS = [
+    'visibleCallback',
+    'hiddenCallback',
+    'visibilityChangedCallback',
+]
+
+/**
+ * Check whether a component overrides a hook of the root component class
+ * @param {Component} component - The component to check
+ * @param {string} hook - Name of the hook
+ * @returns {boolean} True if the hook differs from the root class's default
+ */
+function overridesHook(component, hook) {
+    let rootPrototype = Object.getPrototypeOf(component)
+    while (Object.getPrototypeOf(rootPrototype) !== Object.prototype) {
+        rootPrototype = Object.getPrototypeOf(rootPrototype)
+    }
+    return component[hook] !== rootPrototype[hook]
+}
+
+// Matches a visibility hook being assigned, e.g. `visibleCallback = () => {}` or `this.hiddenCallback = ...`
+const hookAssignment = new RegExp(
+    `\\b(${VISIBILITY_HOOKS.join('|')})\\s*=(?![=>])`
+)
+
+// Whether the source of a component class assigns a visibility hook, per class
+const assignedHooks = new WeakMap()
+
+/**
+ * Check whether a component class or one of its ancestors assigns a visibility hook in its
+ * source, as a class field or in a method. Such hooks don't exist yet while the base
+ * constructor runs, so the class source is the only place to find them in time.
+ * @param {Function} ComponentClass - The component class
+ * @returns {boolean} True if a visibility hook is assigned
+ */
+function assignsHook(ComponentClass) {
+    if (!assignedHooks.has(ComponentClass)) {
+        let assigns = false
+        for (
+            let Class = ComponentClass;
+            !assigns &&
+            Object.getPrototypeOf(Class.prototype) !== Object.prototype;
+            Class = Object.getPrototypeOf(Class)
+        ) {
+            assigns = hookAssignment.test(
+                Function.prototype.toString.call(Class)
+            )
+        }
+        assignedHooks.set(ComponentClass, assigns)
+    }
+    return assignedHooks.get(ComponentClass)
+}
+
+// Pooled intersection observers, keyed by root and then by serialized settings
+const intersectionPools = new Map()
+
+/**
+ * Get the pool for a set of visibility settings, creating it if needed
+ * @param {Object} settings - IntersectionObserver options ({ root, rootMargin, threshold })
+ * @returns {{observer: IntersectionObserver, targets: Map, root: ?Element, key: string}} The pool
+ */
+function getIntersectionPool({
+    root = null,
+    rootMargin = '0px',
+    threshold = 0,
+}) {
+    if (!intersectionPools.has(root)) {
+        intersectionPools.set(root, new Map())
+    }
+    const pools = intersectionPools.get(root)
+    const key = JSON.stringify([rootMargin, threshold])
+
+    if (!pools.has(key)) {
+        const targets = new Map()
+        const observer = new IntersectionObserver(
+            (entries) =>
+                entries.forEach((entry) =>
+                    targets.get(entry.target)?._handleIntersection(entry)
+                ),
+            { root, rootMargin, threshold }
+        )
+        pools.set(key, { observer, targets, root, key })
+    }
+    return pools.get(key)
+}
+
+/**
+ * Stop observing an element and disconnect its pooled observer once it's unused
+ * @param {Object} pool - The pool the element belongs to
+ * @param {HTMLElement} element - The observed element
+ * @param {LifecycleObserver} lifecycleObserver - The observer releasing the element
+ */
+function releaseIntersectionPool(pool, element, lifecycleObserver) {
+    // A newer component on the same element has taken over the observation
+    if (pool.targets.get(element) !== lifecycleObserver) return
+
+    pool.targets.delete(element)
+
+    if (pool.targets.size > 0) {
+        pool.observer.unobserve(element)
+        return
+    }
+
+    pool.observer.disconnect()
+    const pools = intersectionPools.get(pool.root)
+    pools.delete(pool.key)
+    if (pools.size === 0) {
+        intersectionPools.delete(pool.root)
+    }
+}
+
+// Lifecycle observers waiting for connection changes, keyed by their element
+const connectionTargets = new Map()
+
+// Single observer shared by all components to detect connection and disconnection
+let connectionObserver = null
+
+/**
+ * Collect the lifecycle observers of all watched elements in a subtree
+ * @param {Node} node - Root of an added or removed subtree
+ * @param {Set<LifecycleObserver>} affected - Set receiving the affected observers
+ */
+function collectAffected(node, affected) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return
+
+    if (connectionTargets.has(node)) {
+        affected.add(connectionTargets.get(node))
+    }
+    for (const element of node.getElementsByTagName('*')) {
+        if (connectionTargets.has(element)) {
+            affected.add(connectionTargets.get(element))
+        }
+    }
+}
+
+/**
+ * Dispatch DOM mutations to the components inside the added and removed subtrees.
+ * The work is proportional to the size of the changed subtrees, not the number of components.
+ * @param {MutationRecord[]} mutations - Observed mutations
+ */
+function handleConnectionMutations(mutations) {
+    const affected = new Set()
+    mutations.forEach((mutation) => {
+        mutation.addedNodes.forEach((node) => collectAffected(node, affected))
+        mutation.removedNodes.forEach((node) => collectAffected(node, affected))
+    })
+    affected.forEach((lifecycleObserver) =>
+        lifecycleObserver._checkConnection()
+    )
+}
+
+/**
+ * Start watching an element for connection changes
+ * @param {HTMLElement} element - The component element
+ * @param {LifecycleObserver} lifecycleObserver - The observer to notify
+ */
+function observeConnection(element, lifecycleObserver) {
+    connectionTargets.set(element, lifecycleObserver)
+
+    if (!connectionObserver) {
+        connectionObserver = new MutationObserver(handleConnectionMutations)
+        connectionObserver.observe(document, {
+            childList: true,
+            subtree: true,
+        })
+    }
+}
+
+/**
+ * Stop watching an element for connection changes
+ * @param {HTMLElement} element - The component element
+ */
+function unobserveConnection(element) {
+    connectionTargets.delete(element)
+
+    if (connectionTargets.size === 0 && connectionObserver) {
+        connectionObserver.disconnect()
+        connectionObserver = null
+    }
+}
+
 /**
  * Manages DOM lifecycle observations for components
  */
@@ -21,23 +203,67 @@ export class LifecycleObserver {
     }
 
     /**
-     * Set up observation for element visibility
+     * Set up observation for element visibility. Components sharing the same
+     * settings share one IntersectionObserver. Nothing is observed unless the
+     * component configures `visibility` or uses a visibility hook.
      */
     _setupIntersectionObserver() {
         if (!this.element || typeof IntersectionObserver === 'undefined') return
-        this._intersectionObserver = new IntersectionObserver((entries) => {
-            if (this.isDestroyed || this.component.isDestroyed) return
-            entries.forEach((entry) => {
-                if (this.component.isConnected) {
-                    if (entry.isIntersecting) {
-                        this.component.visibleCallback()
-                    } else {
-                        this.component.hiddenCallback()
-                    }
-                }
-            })
+
+        if (
+            this.component.constructor.visibility ||
+            this.component.options.visibility ||
+            this._usesHooks() ||
+            assignsHook(this.component.constructor)
+        ) {
+            this._observeIntersection()
+            return
+        }
+
+        // Hooks assigned from outside the class only exist after construction
+        queueMicrotask(() => {
+            if (!this.isDestroyed && this._usesHooks()) {
+                this._observeIntersection()
+            }
+        })
+    }
+
+    /**
+     * Check whether the component overrides a visibility hook
+     * @returns {boolean} True if a visibility hook is overridden
+     */
+    _usesHooks() {
+        return VISIBILITY_HOOKS.some((hook) =>
+            overridesHook(this.component, hook)
+        )
+    }
+
+    /**
+     * Start observing the element with the pooled observer for its settings
+     */
+    _observeIntersection() {
+        this._intersectionPool = getIntersectionPool({
+            ...this.component.constructor.visibility,
+            ...this.component.options.visibility,
         })
-        this._intersectionObserver.observe(this.element)
+        this._intersectionPool.targets.set(this.element, this)
+        this._intersectionPool.observer.observe(this.element)
+    }
+
+    /**
+     * Forward an intersection entry to the component's visibility hooks
+     * @param {IntersectionObserverEntry} entry - The entry for this component's element
+     */
+    _handleIntersection(entry) {
+        if (this.isDestroyed || this.component.isDestroyed) return
+        if (!this.component.isConnected) return
+
+        if (entry.isIntersecting) {
+            this.component.visibleCallback(entry)
+        } else {
+            this.component.hiddenCallback(entry)
+        }
+        this.component.visibilityChangedCallback(entry.intersectionRatio, entry)
     }
 
     /**
@@ -45,29 +271,27 @@ export class LifecycleObserver {
      */
     _setupConnectionObserver() {
         if (!this.element || typeof MutationObserver === 'undefined') return
+        observeConnection(this.element, this)
+    }
 
-        this._connectionObserver = new MutationObserver(() => {
-            if (this.isDestroyed || this.component.isDestroyed) {
-                return
-            }
-
-            const isCurrentlyConnected = document.contains(this.element)
+    /**
+     * Compare the element's connection with the component's and notify the component.
+     * Called by the shared connection observer when the element's subtree was touched.
+     */
+    _checkConnection() {
+        if (this.isDestroyed || this.component.isDestroyed) {
+            return
+        }
 
-            if (isCurrentlyConnected && !this.component.isConnected) {
-                // Element was ADDED to the DOM
-                this.component._handleConnected()
-            } else if (!isCurrentlyConnected && this.component.isConnected) {
-                // Element was REMOVED from the DOM
-                this.component._handleDisconnected()
-            }
-        })
+        const isCurrentlyConnected = this.element.isConnected
 
-        // Observe the entire document body for additions/removals affecting the element
-        // This is broad but necessary to catch appending anywhere.
-        this._connectionObserver.observe(document.body, {
-            childList: true,
-            subtree: true,
-        })
+        if (isCurrentlyConnected && !this.component.isConnected) {
+            // Element was ADDED to the DOM
+            this.component._handleConnected()
+        } else if (!isCurrentlyConnected && this.component.isConnected) {
+            // Element was REMOVED from the DOM
+            this.component._handleDisconnected()
+        }
     }
 
     /**
@@ -86,6 +310,8 @@ export class LifecycleObserver {
                         : null
                     const oldValue = mutation.oldValue
 
+                    this.component.propsManager?.handleAttributeChange(name)
+
                     if (this.component.isConnected && newValue !== oldValue) {
                         this.component.attributeChangedCallback(
                             name,
@@ -96,9 +322,14 @@ export class LifecycleObserver {
                 }
             })
         })
+        // With a props schema, only the declared attributes are of interest
+        const propsManager = this.component.propsManager
         this._attributeObserver.observe(this.element, {
             attributes: true,
             attributeOldValue: true,
+            ...(propsManager && {
+                attributeFilter: propsManager.attributeNames,
+            }),
         })
     }
 
@@ -109,14 +340,11 @@ export class LifecycleObserver {
         if (this.isDestroyed) return
         this.isDestroyed = true // Set flag early
 
-        if (this._intersectionObserver) {
-            this._intersectionObserver.disconnect()
-            this._intersectionObserver = null
-        }
-        if (this._connectionObserver) {
-            this._connectionObserver.disconnect()
-            this._connectionObserver = null
+        if (this._intersectionPool) {
+            releaseIntersectionPool(this._intersectionPool, this.element, this)
+            this._intersectionPool = null
         }
+        unobserveConnection(this.element)
         if (this._attributeObserver) {
             this._attributeObserver.disconnect()
             this._attributeObserver = null
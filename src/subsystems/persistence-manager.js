@@ -0,0 +1,254 @@
+import { deepClone } from '../utils/clone'
+
+/**
+ * Wrap a Web Storage object (localStorage, sessionStorage) in a storage adapter
+ * @param {Storage} storage - The Web Storage object
+ * @returns {{get: Function, set: Function, remove: Function}} A storage adapter
+ */
+export function webStorage(storage) {
+    return {
+        get(key) {
+            const value = storage.getItem(key)
+            if (value === null) return null
+            try {
+                return JSON.parse(value)
+            } catch {
+                return null
+            }
+        },
+        set(key, value) {
+            storage.setItem(key, JSON.stringify(value))
+        },
+        remove(key) {
+            storage.removeItem(key)
+        },
+    }
+}
+
+/**
+ * Create an in-memory storage adapter, e.g. as a stand-in for tests
+ * @param {Object} [entries={}] - Initial entries keyed by storage key
+ * @returns {{get: Function, set: Function, remove: Function}} A storage adapter
+ */
+export function memoryStorage(entries = {}) {
+    const store = new Map(Object.entries(entries))
+    return {
+        get: (key) => (store.has(key) ? deepClone(store.get(key)) : null),
+        set: (key, value) => store.set(key, deepClone(value)),
+        remove: (key) => store.delete(key),
+    }
+}
+
+/**
+ * Resolve the `storage` option into a storage adapter
+ * @param {string|Object} storage - 'local', 'session' or an adapter with get/set/remove
+ * @returns {{get: Function, set: Function, remove: Function}} A storage adapter
+ */
+function resolveAdapter(storage) {
+    if (storage === 'local' || storage === 'session') {
+        // Merely reading the storage throws where it's disabled (e.g. sandboxed iframes)
+        try {
+            return webStorage(window[`${storage}Storage`])
+        } catch (error) {
+            console.error(
+                `Storage "${storage}" is unavailable, persisting in memory instead`,
+                error
+            )
+            return memoryStorage()
+        }
+    }
+    if (storage && typeof storage.get === 'function') return storage
+    throw new Error(`Unknown persist storage "${storage}"`)
+}
+
+/**
+ * Check whether a value is a promise (or any other thenable)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is thenable
+ */
+function isPromise(value) {
+    return typeof value?.then === 'function'
+}
+
+/**
+ * Restores component state from storage and writes it back when it changes
+ */
+export class PersistenceManager {
+    /**
+     * Create a new persistence manager and read the stored state
+     * @param {Component} component - The component whose state is persisted
+     * @param {Object} options - Persist options
+     * @param {string} options.key - Storage key
+     * @param {string|Object} [options.storage='local'] - 'local', 'session' or a custom adapter.
+     * Adapter methods `get(key)`, `set(key, payload)` and `remove(key)` may be sync or async.
+     * @param {string[]} [options.include] - Top-level state keys to persist (all when omitted)
+     * @param {number} [options.version=1] - Version of the persisted payload
+     * @param {Function} [options.migrate] - Called with (state, storedVersion) for payloads of another version
+     */
+    constructor(
+        component,
+        { key, storage = 'local', include = null, version = 1, migrate = null }
+    ) {
+        this.component = component
+        this.key = key
+        this.include = include
+        this.version = version
+        this.migrate = migrate
+        this.adapter = resolveAdapter(storage)
+        this.isDestroyed = false
+        this._isRestoring = false
+
+        this.restoredState = {}
+        this._pendingPayload = null
+        try {
+            const payload = this.adapter.get(this.key)
+
+            // A synchronous adapter's state is merged into the initial state, before init()
+            if (isPromise(payload)) {
+                this._pendingPayload = payload
+            } else {
+                this.restoredState = this._parse(payload)
+            }
+        } catch (error) {
+            // Unreadable storage must not keep the component from being created
+            console.error(
+                `Failed to restore persisted state "${this.key}"`,
+                error
+            )
+        }
+    }
+
+    /**
+     * Start writing state changes to storage and apply an asynchronously loaded payload
+     * @returns {Promise<void>} Resolves once stored state has been restored
+     */
+    start() {
+        this.stateManager = this.component.stateManager
+        this._unsubscribe = this.stateManager.subscribe((changes) =>
+            this._handleChanges(changes)
+        )
+
+        this.ready = this._pendingPayload
+            ? this._pendingPayload
+                  .then((payload) => this._restore(this._parse(payload)))
+                  .catch((error) =>
+                      console.error(
+                          `Failed to restore persisted state "${this.key}"`,
+                          error
+                      )
+                  )
+            : Promise.resolve()
+        this._pendingPayload = null
+
+        return this.ready
+    }
+
+    /**
+     * Turn a stored payload into state, migrating it if it was written by another version
+     * @param {?Object} payload - The stored `{ version, state }` payload
+     * @returns {Object} State to restore
+     */
+    _parse(payload) {
+        if (!payload || typeof payload !== 'object') return {}
+
+        let state = payload.state ?? {}
+        if (payload.version !== this.version) {
+            if (!this.migrate) return {}
+            state = this.migrate(state, payload.version) ?? {}
+        }
+        return this._pick(state)
+    }
+
+    /**
+     * Limit a state object to the included keys
+     * @param {Object} state - State object
+     * @returns {Object} The included part of the state
+     */
+    _pick(state) {
+        if (!this.include) return state
+        return Object.fromEntries(
+            Object.entries(state).filter(([key]) => this.include.includes(key))
+        )
+    }
+
+    /**
+     * Apply asynchronously restored state without writing it straight back
+     * @param {Object} state - State to restore
+     */
+    _restore(state) {
+        if (this.isDestroyed || Object.keys(state).length === 0) return
+
+        this._isRestoring = true
+        try {
+            this.stateManager.setState(state)
+            this.stateManager.flushSubscribers()
+        } finally {
+            this._isRestoring = false
+        }
+
+        // Restored state is the starting point, not an undoable change
+        this.component.historyManager?.clear()
+    }
+
+    /**
+     * Save the state if an included key changed
+     * @param {Map<string, *>} changes - Changed paths of the batch
+     */
+    _handleChanges(changes) {
+        if (this._isRestoring) return
+
+        const isRelevant = Array.from(changes.keys()).some((path) => {
+            const key = path.split('.')[0]
+            return (
+                !this.stateManager.isComputed(key) &&
+                (!this.include || this.include.includes(key))
+            )
+        })
+        if (isRelevant) {
+            this.save()
+        }
+    }
+
+    /**
+     * Write the included state to storage
+     */
+    save() {
+        const payload = {
+            version: this.version,
+            state: this._pick(this.stateManager.getSnapshot()),
+        }
+        const logError = (error) =>
+            console.error(`Failed to persist state "${this.key}"`, error)
+
+        // A throwing adapter (e.g. a full localStorage) must not stop other subscribers
+        let result
+        try {
+            result = this.adapter.set(this.key, payload)
+        } catch (error) {
+            logError(error)
+            return
+        }
+        if (isPromise(result)) {
+            result.catch(logError)
+        }
+    }
+
+    /**
+     * Remove the persisted state from storage
+     * @returns {*} Whatever the adapter's remove() returns
+     */
+    clear() {
+        return this.adapter.remove(this.key)
+    }
+
+    /**
+     * Stop writing state changes to storage
+     */
+    destroy() {
+        if (this.isDestroyed) return
+        this.isDestroyed = true
+        this._unsubscribe?.()
+        this.component = null
+        this.stateManager = null
+    }
+}
@@ -0,0 +1,128 @@
+import { deepClone, isEqual } from '../utils/clone'
+import {
+    coerceProp,
+    normalizeProps,
+    readHostProps,
+    serializeProp,
+} from '../utils/props'
+
+/**
+ * Keeps typed props declared in `static props` in sync with the host's `data-*` attributes
+ */
+export class PropsManager {
+    /**
+     * Create a new props manager and read the declared props from the host
+     * @param {Component} component - The component whose props are managed
+     * @param {Object} schema - The `static props` schema
+     */
+    constructor(component, schema) {
+        this.component = component
+        this.element = component.element
+        this.definitions = normalizeProps(schema)
+        this.isDestroyed = false
+
+        // Declared defaults first, attributes present on the host win
+        this.initialProps = {
+            ...Object.fromEntries(
+                Object.entries(this.definitions)
+                    .filter(
+                        ([, definition]) => definition.default !== undefined
+                    )
+                    .map(([name, definition]) => [
+                        name,
+                        deepClone(definition.default),
+                    ])
+            ),
+            ...readHostProps(this.element, schema),
+        }
+    }
+
+    /**
+     * Names of the attributes backing the declared props
+     * @returns {string[]} Attribute names (e.g. 'data-max-items')
+     */
+    get attributeNames() {
+        return Object.values(this.definitions).map(
+            (definition) => definition.attribute
+        )
+    }
+
+    /**
+     * Start reflecting state changes to attributes
+     */
+    start() {
+        this.stateManager = this.component.stateManager
+        this._unsubscribe = this.stateManager.subscribe((changes) =>
+            this._reflect(
+                Array.from(changes.keys()).map((path) => path.split('.')[0])
+            )
+        )
+        this._reflect(Object.keys(this.definitions))
+    }
+
+    /**
+     * Apply a changed attribute to the matching prop
+     * @param {string} attributeName - The changed attribute
+     */
+    handleAttributeChange(attributeName) {
+        if (this.isDestroyed) return
+
+        const entry = Object.entries(this.definitions).find(
+            ([, definition]) => definition.attribute === attributeName
+        )
+        if (!entry) return
+
+        const [name, definition] = entry
+        const value = coerceProp(
+            this.element.getAttribute(attributeName),
+            definition
+        )
+        // Reflected values come back through the observer, don't apply them twice
+        if (!isEqual(value, this.component.state[name])) {
+            this.component.setState({ [name]: value })
+        }
+    }
+
+    /**
+     * Write reflected props back to their attributes
+     * @param {string[]} names - Prop names that may have changed
+     */
+    _reflect(names) {
+        new Set(names).forEach((name) => {
+            const definition = this.definitions[name]
+            if (!definition?.reflect) return
+
+            const value = this.component.state[name]
+            const current = this.element.getAttribute(definition.attribute)
+            const serialized = serializeProp(value, definition)
+
+            // Leave equivalent attributes alone (e.g. "05" for 5)
+            if (
+                serialized === current ||
+                (current !== null &&
+                    serialized !== null &&
+                    isEqual(coerceProp(current, definition), value))
+            ) {
+                return
+            }
+
+            if (serialized === null) {
+                this.element.removeAttribute(definition.attribute)
+            } else {
+                this.element.setAttribute(definition.attribute, serialized)
+            }
+        })
+    }
+
+    /**
+     * Stop reflecting props
+     */
+    destroy() {
+        if (this.isDestroyed) return
+        this.isDestroyed = true
+        this._unsubscribe?.()
+        this.component = null
+        this.element = null
+        this.stateManager = null
+    }
+}
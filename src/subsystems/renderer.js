@@ -1,3 +1,8 @@
+import { TemplateResult } from '../utils/html'
+import { morph } from '../utils/morph'
+import { readHostProps } from '../utils/props'
+import { Stelar } from '../registry'
+
 /**
  * Manages rendering for components with optimization support
  */
@@ -18,25 +23,84 @@ export class Renderer {
         if (this._renderScheduled) return
 
         this._renderScheduled = true
-        this._animationFrame = requestAnimationFrame(() => {
+        this._renderPromise = new Promise((resolve) => {
+            this._resolveRender = resolve
+        })
+        this._animationFrame = requestAnimationFrame(() => this._commitRender())
+    }
+
+    /**
+     * Run a pending render immediately instead of waiting for the next frame
+     */
+    flush() {
+        if (!this._renderScheduled) return
+
+        cancelAnimationFrame(this._animationFrame)
+        this._commitRender()
+    }
+
+    /**
+     * Get a promise for the pending render
+     * @returns {Promise<void>} Resolves once the pending render has committed,
+     * or right away if no render is queued
+     */
+    whenRendered() {
+        return this._renderScheduled ? this._renderPromise : Promise.resolve()
+    }
+
+    /**
+     * @private Perform the queued render and settle the pending render promise
+     */
+    _commitRender() {
+        this._animationFrame = null
+
+        try {
             if (!this.component.isDestroyed) {
                 const changedProps =
                     this.component.stateManager.getChangedProps()
                 this.component.stateManager.clearChangedProps()
 
                 const renderProps = this.component.renderProps()
-                const shouldRender =
-                    !renderProps ||
-                    Array.from(changedProps).some((prop) =>
-                        renderProps.includes(prop.split('.')[0])
-                    )
-
-                if (shouldRender) {
-                    this._handleRender(changedProps)
+                const relevantProps = renderProps
+                    ? new Set(
+                          Array.from(changedProps).filter((prop) =>
+                              renderProps.includes(prop.split('.')[0])
+                          )
+                      )
+                    : changedProps
+
+                // Props filtered out by renderProps must not force a full render either
+                if (
+                    (!renderProps || relevantProps.size > 0) &&
+                    this.component.shouldRender(relevantProps)
+                ) {
+                    this._handleRender(relevantProps)
                 }
             }
-            this._renderScheduled = false
-        })
+        } catch (error) {
+            this.component._handleError(error, 'render')
+        } finally {
+            // A failed render must not block later renders
+            this._settleRender()
+        }
+    }
+
+    /**
+     * @private Reset the render queue and resolve anyone waiting for the render
+     */
+    _settleRender() {
+        // Take the resolver first, a follow-up render gets a promise of its own
+        const resolveRender = this._resolveRender
+        this._resolveRender = null
+        this._renderScheduled = false
+
+        // State changed by beforeRender() or afterRender() couldn't queue a render while this one ran
+        const { isDestroyed, stateManager } = this.component
+        if (!isDestroyed && stateManager.getChangedProps().size > 0) {
+            stateManager._queueRender()
+        }
+
+        resolveRender?.()
     }
 
     /**
@@ -47,7 +111,7 @@ export class Renderer {
         const renderMap = this.component.renderMap()
 
         if (Object.keys(renderMap).length === 0 || !changedProps) {
-            return this.render()
+            return this.render(changedProps)
         }
 
         const needsFullRender = Array.from(changedProps).some((prop) => {
@@ -56,35 +120,159 @@ export class Renderer {
         })
 
         if (needsFullRender) {
-            return this.render()
+            return this.render(changedProps)
         }
 
-        Array.from(changedProps).forEach((prop) => {
+        this.component.beforeRender()
+        for (const prop of changedProps) {
             const topProp = prop.split('.')[0]
-            if (renderMap[topProp]) {
-                renderMap[topProp].el.innerHTML = renderMap[topProp].fn.call(
-                    this.component
+            if (!renderMap[topProp]) continue
+
+            let content
+            try {
+                content = this._toContent(
+                    renderMap[topProp].fn.call(this.component)
                 )
-                this.component._updateRefs()
+            } catch (error) {
+                return this._renderFailed(error, 'renderMap')
             }
-        })
+            if (content) {
+                morph(renderMap[topProp].el, content)
+            }
+            this.component._updateRefs()
+        }
+        this._finishRender(changedProps, false)
     }
 
     /**
      * Perform a full render of the component
+     * @param {?Set} [changedProps] - Property paths that changed (none for the initial render)
+     */
+    render(changedProps = null) {
+        this.component.beforeRender()
+
+        let content
+        try {
+            content = this._toContent(this.component.render())
+        } catch (error) {
+            return this._renderFailed(error, 'render')
+        }
+        // null and undefined leave the DOM untouched
+        if (content) {
+            morph(this.component.element, content)
+        }
+        this.component._updateRefs()
+        this._finishRender(changedProps, true)
+    }
+
+    /**
+     * Bring children, `data-on` and `data-bind` up to date with the new DOM
+     * and tell the component the render is done
+     * @param {?Set} changedProps - Property paths that changed
+     * @param {boolean} full - Whether the whole component was rendered
+     */
+    _finishRender(changedProps, full) {
+        this._mountChildren()
+        this.component.eventManager.scanEventBindings()
+        this.component.bindingManager.sync()
+        this.component.afterRender(changedProps ?? new Set(), { full })
+    }
+
+    /**
+     * Report a render error and show the component's `renderError()` fallback, if any.
+     * Without a fallback the DOM keeps its last successful render.
+     * @param {Error} error - The thrown error
+     * @param {string} phase - 'render' or 'renderMap'
      */
-    render() {
-        this.component.element.innerHTML = this.component.render()
+    _renderFailed(error, phase) {
+        this.component._handleError(error, phase)
+
+        const fallback = this._toContent(this.component.renderError(error))
+        if (!fallback) return
+
+        morph(this.component.element, fallback)
         this.component._updateRefs()
     }
 
+    /**
+     * Instantiate child components for `data-component` hosts in the rendered markup
+     * (looked up in `static components`, then in the global registry),
+     * update the props of children that are still present and destroy removed ones
+     */
+    _mountChildren() {
+        const parent = this.component
+        const components = parent.constructor.components ?? {}
+        const hosts = Array.from(
+            parent.element.querySelectorAll('[data-component]')
+        ).filter((host) => {
+            // Hosts nested inside another child belong to that child
+            const owner = host.parentElement.closest('[data-component]')
+            return (
+                !owner ||
+                !parent.element.contains(owner) ||
+                owner === parent.element
+            )
+        })
+
+        hosts.forEach((host) => {
+            const name = host.dataset.component
+            const ChildClass = components[name] ?? Stelar.get(name)
+            if (!ChildClass) return
+
+            const props = readHostProps(host, ChildClass.props)
+            const child = host._component
+
+            if (child instanceof ChildClass && !child.isDestroyed) {
+                child._updateProps(props)
+                return
+            }
+
+            new ChildClass(host, { initialState: props, parent })
+        })
+
+        // Children whose host was removed by this render
+        parent.children.forEach((child) => {
+            if (parent.element.contains(child.element)) return
+            if (child.isConnected) {
+                child._handleDisconnected()
+            } else {
+                child.destroy()
+            }
+        })
+    }
+
+    /**
+     * Convert the return value of a render function into content for morph()
+     * @param {?(string|TemplateResult|Node|Array)} result - Value returned by render() or a renderMap function
+     * @returns {?Array<string|Node>} Markup strings and nodes, or null to leave the DOM untouched
+     */
+    _toContent(result) {
+        if (result === null || result === undefined) return null
+        return this._flatten(result)
+    }
+
+    /**
+     * Flatten a render result into markup strings and nodes
+     * @param {*} result - A render result or an item of one
+     * @returns {Array<string|Node>} Markup strings and nodes
+     */
+    _flatten(result) {
+        if (result === null || result === undefined) return []
+        if (Array.isArray(result)) {
+            return result.flatMap((item) => this._flatten(item))
+        }
+        if (result instanceof Node) return [result]
+        if (result instanceof TemplateResult) return [result.toString()]
+        return [String(result)]
+    }
+
     /**
      * Clean up any pending render operations
      */
     destroy() {
         if (this._animationFrame) {
             cancelAnimationFrame(this._animationFrame)
-            this._renderScheduled = false
         }
+        this._settleRender()
     }
 }
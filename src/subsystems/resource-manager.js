@@ -0,0 +1,160 @@
+/**
+ * Unwrap a fetch `Response` into its JSON body, failing for error statuses
+ * @param {*} result - The loader result
+ * @returns {*} The data
+ */
+function parseResponse(result) {
+    if (typeof Response === 'undefined' || !(result instanceof Response)) {
+        return result
+    }
+    if (!result.ok) {
+        throw new Error(`Request failed with status ${result.status}`)
+    }
+    return result.json()
+}
+
+/**
+ * Loads async resources into component state as `{ data, error, loading }`
+ */
+export class ResourceManager {
+    /**
+     * Create a new resource manager
+     * @param {Component} component - The component owning the resources
+     */
+    constructor(component) {
+        this.component = component
+        this.resources = new Map()
+        this.isDestroyed = false
+    }
+
+    /**
+     * Define a resource and start loading it
+     * @param {string} key - Top-level state key holding `{ data, error, loading }`
+     * @param {Function} loader - Called with an AbortSignal, returns the data, a promise of it,
+     * or a fetch `Response` (parsed as JSON)
+     * @param {Object} [options] - Resource options
+     * @param {string|string[]} [options.watch] - State paths that trigger a new request when they change
+     * @param {boolean} [options.immediate=true] - Load right away
+     * @returns {{refetch: Function, abort: Function}} Controls for the resource
+     */
+    define(key, loader, { watch = [], immediate = true } = {}) {
+        this.resources.get(key)?.cleanup()
+
+        const resource = { loader, controller: null, promise: null }
+        const unwatches = []
+            .concat(watch)
+            .map((path) =>
+                this.component.watch(path, () =>
+                    this.load(key, { replace: true })
+                )
+            )
+        resource.cleanup = () => {
+            unwatches.forEach((unwatch) => unwatch())
+            resource.controller?.abort()
+            resource.controller = null
+        }
+        this.resources.set(key, resource)
+
+        this.component.state[key] = {
+            data: this.component.state[key]?.data ?? null,
+            error: null,
+            loading: false,
+        }
+        if (immediate) {
+            this.load(key)
+        }
+
+        return {
+            refetch: () => this.load(key),
+            abort: () => this.abort(key),
+        }
+    }
+
+    /**
+     * Load a resource. While a request is in flight, it is returned instead of starting another.
+     * @param {string} key - The resource key
+     * @param {Object} [options] - Load options
+     * @param {boolean} [options.replace=false] - Abort the request in flight and start a new one
+     * @returns {Promise<*>} Resolves with the data, or undefined if the request failed or was aborted
+     */
+    load(key, { replace = false } = {}) {
+        const resource = this.resources.get(key)
+        if (!resource || this.isDestroyed) return Promise.resolve()
+
+        if (resource.promise) {
+            if (!replace) return resource.promise
+            resource.controller.abort()
+        }
+
+        const controller = new AbortController()
+        resource.controller = controller
+        this._update(key, { loading: true, error: null })
+
+        // A request is stale once it was replaced, aborted or its resource redefined
+        const isCurrent = () =>
+            !this.isDestroyed &&
+            this.resources.get(key) === resource &&
+            resource.controller === controller
+
+        resource.promise = Promise.resolve()
+            .then(() => resource.loader.call(this.component, controller.signal))
+            .then(parseResponse)
+            .then(
+                (data) => {
+                    if (!isCurrent()) return undefined
+                    this._update(key, { data, loading: false })
+                    return data
+                },
+                (error) => {
+                    if (!isCurrent()) return undefined
+                    this._update(key, { error, loading: false })
+                    return undefined
+                }
+            )
+            .finally(() => {
+                if (resource.controller === controller) {
+                    resource.controller = null
+                    resource.promise = null
+                }
+            })
+
+        return resource.promise
+    }
+
+    /**
+     * Abort the request in flight for a resource
+     * @param {string} key - The resource key
+     */
+    abort(key) {
+        const resource = this.resources.get(key)
+        if (!resource?.controller) return
+
+        resource.controller.abort()
+        resource.controller = null
+        resource.promise = null
+        this._update(key, { loading: false })
+    }
+
+    /**
+     * Apply changes to the state of a resource as one update
+     * @param {string} key - The resource key
+     * @param {Object} changes - Changed fields of `{ data, error, loading }`
+     */
+    _update(key, changes) {
+        this.component.batch(() =>
+            Object.assign(this.component.state[key], changes)
+        )
+    }
+
+    /**
+     * Abort all requests and stop watching
+     */
+    destroy() {
+        if (this.isDestroyed) return
+        this.isDestroyed = true
+
+        this.resources.forEach((resource) => resource.cleanup())
+        this.resources.clear()
+        this.component = null
+    }
+}
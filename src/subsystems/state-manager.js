@@ -1,3 +1,18 @@
+import { deepClone, isCloneable, isEqual } from '../utils/clone'
+import { getPath } from '../utils/path'
+
+// Symbol used to unwrap a reactive proxy to its underlying object
+const RAW = Symbol('raw')
+
+/**
+ * Unwrap a reactive proxy to the plain object it wraps
+ * @param {*} value - A reactive proxy or any other value
+ * @returns {*} The underlying object, or the value itself if it isn't a proxy
+ */
+function toRaw(value) {
+    return (value && typeof value === 'object' && value[RAW]) || value
+}
+
 /**
  * Manages reactive state with automatic change tracking
  */
@@ -13,6 +28,13 @@ export class StateManager {
         this._changedProps = new Set()
         this._isReactive = isReactive
         this._proxyCache = new WeakMap()
+        this._computed = new Map()
+        this._dirtyComputed = new Set()
+        this._trackingStack = []
+        this._subscribers = new Set()
+        this._pendingChanges = new Map()
+        this._flushScheduled = false
+        this._batchDepth = 0
         this._initState(initialState)
     }
 
@@ -61,11 +83,29 @@ export class StateManager {
 
         const proxy = new Proxy(target, {
             get: (target, property, receiver) => {
+                if (property === RAW) {
+                    return target
+                }
+
                 // Special handling for symbols and non-string properties
                 if (typeof property === 'symbol' || property === '__proto__') {
                     return Reflect.get(target, property, receiver)
                 }
 
+                const propertyPath = path
+                    ? `${path}.${String(property)}`
+                    : String(property)
+
+                // Record the read as a dependency of the computed property being evaluated
+                const dependencies = stateManager._trackingStack.at(-1)
+                if (dependencies) {
+                    dependencies.add(propertyPath)
+                }
+
+                if (!path && stateManager._computed.has(property)) {
+                    return stateManager._evaluateComputed(property)
+                }
+
                 const value = Reflect.get(target, property, receiver)
 
                 // Intercept calls to mutating array methods
@@ -78,18 +118,19 @@ export class StateManager {
                             target,
                             args
                         )
-                        stateManager._notifyChange(path)
+                        // The array is mutated in place, so it is its own old value
+                        stateManager._notifyChange(path, null, target)
                         return result
                     }
                 }
 
-                // Recursively proxy nested objects
-                if (value && typeof value === 'object') {
-                    const nestedPath = path
-                        ? `${path}.${String(property)}`
-                        : String(property)
-
-                    return stateManager._createReactiveProxy(value, nestedPath)
+                // Recursively proxy nested plain objects and arrays. Others (Date, Map, DOM nodes)
+                // would break once their methods run against the proxy.
+                if (isCloneable(value)) {
+                    return stateManager._createReactiveProxy(
+                        value,
+                        propertyPath
+                    )
                 }
 
                 return value
@@ -101,6 +142,12 @@ export class StateManager {
                     return Reflect.set(target, property, value, receiver)
                 }
 
+                if (!path && stateManager._computed.has(property)) {
+                    throw new Error(
+                        `Cannot assign to computed property "${property}"`
+                    )
+                }
+
                 const oldValue = Reflect.get(target, property, receiver)
 
                 // Check if the new value is the same as the old one
@@ -121,7 +168,7 @@ export class StateManager {
                     const changePath = path
                         ? `${path}.${String(property)}`
                         : String(property)
-                    stateManager._notifyChange(changePath, path)
+                    stateManager._notifyChange(changePath, path, oldValue)
                 }
 
                 return success
@@ -144,7 +191,7 @@ export class StateManager {
                         const changePath = path
                             ? `${path}.${String(property)}`
                             : String(property)
-                        stateManager._notifyChange(changePath, path)
+                        stateManager._notifyChange(changePath, path, oldValue)
                     }
                     return success
                 }
@@ -158,12 +205,93 @@ export class StateManager {
         return proxy
     }
 
+    /**
+     * Define computed (derived) state properties. Each getter is called with the component
+     * as `this`, cached, and only re-evaluated once one of the state paths it read changes.
+     * @param {Object<string, Function>} definitions - Map of computed property names to getters
+     * @returns {StateManager} This state manager instance
+     */
+    defineComputed(definitions = {}) {
+        Object.entries(definitions).forEach(([name, fn]) => {
+            if (!this._isReactive) {
+                // Without a proxy there is no dependency tracking, so evaluate on every access
+                Object.defineProperty(this.state, name, {
+                    get: () => fn.call(this.component, this.state),
+                    enumerable: true,
+                    configurable: true,
+                })
+                return
+            }
+
+            this._computed.set(name, {
+                fn,
+                dependencies: new Set(),
+                value: undefined,
+                dirty: true,
+            })
+        })
+        return this
+    }
+
+    /**
+     * @private Return the cached value of a computed property, re-evaluating it if stale
+     * @param {string} name - Name of the computed property
+     * @returns {*} The computed value
+     */
+    _evaluateComputed(name) {
+        const entry = this._computed.get(name)
+        if (!entry.dirty) {
+            return entry.value
+        }
+
+        const dependencies = new Set()
+        this._trackingStack.push(dependencies)
+        try {
+            entry.value = entry.fn.call(this.component, this.state)
+        } finally {
+            this._trackingStack.pop()
+        }
+        entry.dependencies = dependencies
+        entry.dirty = false
+
+        // The first evaluation is the baseline for change reporting
+        if (!('reportedValue' in entry)) {
+            entry.reportedValue = entry.value
+        }
+
+        return entry.value
+    }
+
+    /**
+     * @private Mark computed properties depending on a changed path as stale
+     * @param {string} changedPath - The path that changed
+     */
+    _invalidateComputed(changedPath) {
+        const isRelated = (dependency) =>
+            dependency === changedPath ||
+            dependency.startsWith(`${changedPath}.`) ||
+            changedPath.startsWith(`${dependency}.`)
+
+        this._computed.forEach((entry, name) => {
+            if (entry.dirty) return
+            if (!Array.from(entry.dependencies).some(isRelated)) return
+
+            entry.dirty = true
+            this._dirtyComputed.add(name)
+            this._recordPendingChange(name, entry.value)
+
+            // Computed properties may depend on other computed properties
+            this._invalidateComputed(name)
+        })
+    }
+
     /**
      * @private Helper to record changes and queue render
      * @param {string} specificPath - The full path of the changed property (e.g., 'a.b.c', 'arr.0')
      * @param {string} [basePath] - The path of the direct parent object/array (e.g., 'a.b', 'arr')
+     * @param {*} [oldValue] - The value at specificPath before the change
      */
-    _notifyChange(specificPath, basePath = null) {
+    _notifyChange(specificPath, basePath = null, oldValue = undefined) {
         // Add the specific path that changed
         this._changedProps.add(specificPath)
 
@@ -185,11 +313,175 @@ export class StateManager {
             this._changedProps.add(specificPath)
         }
 
+        this._recordPendingChange(specificPath, oldValue)
+        this._invalidateComputed(specificPath)
+        this._queueRender()
+    }
+
+    /**
+     * @private Queue a render of the owning component unless a batch is in progress
+     */
+    _queueRender() {
+        if (this._batchDepth > 0) return
+
         if (this._isReactive && this.component?.renderer) {
             this.component.renderer.queueRender()
         }
     }
 
+    /**
+     * Run a function and defer render and subscriber notifications until it returns,
+     * so all changes made inside are handled as a single update
+     * @param {Function} fn - Function making state changes
+     * @returns {*} The return value of fn
+     */
+    batch(fn) {
+        this._batchDepth++
+        try {
+            return fn()
+        } finally {
+            this._batchDepth--
+            if (this._batchDepth === 0 && this._changedProps) {
+                if (this._changedProps.size > 0) {
+                    this._queueRender()
+                }
+                this._scheduleFlush()
+            }
+        }
+    }
+
+    /**
+     * @private Remember a change for the next subscriber flush
+     * @param {string} path - The path that changed
+     * @param {*} oldValue - The value before the change
+     */
+    _recordPendingChange(path, oldValue) {
+        // Keep the value from before the first change in this flush
+        if (!this._pendingChanges.has(path)) {
+            this._pendingChanges.set(path, toRaw(oldValue))
+        }
+        this._scheduleFlush()
+    }
+
+    /**
+     * @private Schedule a subscriber flush in a microtask unless a batch is in progress
+     */
+    _scheduleFlush() {
+        if (this._batchDepth > 0 || this._flushScheduled) return
+        if (this._pendingChanges.size === 0) return
+
+        this._flushScheduled = true
+        queueMicrotask(() => this.flushSubscribers())
+    }
+
+    /**
+     * Notify subscribers of all changes recorded since the last flush.
+     * Runs automatically in a microtask after a change, but can be called to flush early.
+     */
+    flushSubscribers() {
+        this._flushScheduled = false
+        if (!this._subscribers || this._batchDepth > 0) return
+        if (this._pendingChanges.size === 0) return
+
+        const changes = this._pendingChanges
+        this._pendingChanges = new Map()
+        Array.from(this._subscribers).forEach((subscriber) =>
+            subscriber(changes)
+        )
+    }
+
+    /**
+     * Subscribe to state changes. Changes are batched per microtask.
+     * @param {Function} subscriber - Called with a Map of changed paths to their previous values
+     * @returns {Function} Function that removes the subscription
+     */
+    subscribe(subscriber) {
+        this._subscribers.add(subscriber)
+        return () => this._subscribers?.delete(subscriber)
+    }
+
+    /**
+     * Watch a state path for changes
+     * @param {string} path - Dot-separated path, `*` matches any single segment (e.g. 'todos.*.done')
+     * @param {Function} callback - Called with (newValue, oldValue, path)
+     * @param {Object} [options] - Watch options
+     * @param {boolean} [options.immediate=false] - Call the callback right away with the current value
+     * @param {boolean} [options.deep=false] - Also fire when a nested path below the watched one changes
+     * @returns {Function} Function that stops watching
+     */
+    watch(path, callback, { immediate = false, deep = false } = {}) {
+        const pattern = path.split('.')
+        const notify = (concretePath, oldValue) =>
+            callback.call(
+                this.component,
+                getPath(this.state, concretePath),
+                oldValue,
+                concretePath
+            )
+
+        if (immediate) {
+            expandPattern(pattern, toRaw(this.state), undefined, '').forEach(
+                ([concretePath]) => notify(concretePath, undefined)
+            )
+        }
+
+        return this.subscribe((changes) => {
+            const triggered = new Map()
+
+            changes.forEach((oldValue, changedPath) => {
+                const changed = changedPath.split('.')
+                const isMatch = changed
+                    .slice(0, pattern.length)
+                    .every((key, i) => pattern[i] === '*' || pattern[i] === key)
+                if (!isMatch) return
+
+                if (changed.length >= pattern.length) {
+                    if (changed.length > pattern.length && !deep) return
+
+                    const concretePath = changed
+                        .slice(0, pattern.length)
+                        .join('.')
+                    if (triggered.has(concretePath)) return
+
+                    // Nested changes mutate the watched value in place
+                    triggered.set(
+                        concretePath,
+                        changed.length === pattern.length
+                            ? oldValue
+                            : toRaw(getPath(this.state, concretePath))
+                    )
+                    return
+                }
+
+                // An ancestor of the watched path changed, resolve the rest of the pattern
+                const newRoot = toRaw(getPath(this.state, changedPath))
+                expandPattern(
+                    pattern.slice(changed.length),
+                    newRoot,
+                    oldValue,
+                    changedPath
+                ).forEach(([concretePath, newValue, previousValue]) => {
+                    const mutatedInPlace = newRoot === oldValue
+                    if (
+                        !triggered.has(concretePath) &&
+                        (mutatedInPlace || !Object.is(newValue, previousValue))
+                    ) {
+                        triggered.set(concretePath, previousValue)
+                    }
+                })
+            })
+
+            triggered.forEach((oldValue, concretePath) => {
+                const newValue = toRaw(getPath(this.state, concretePath))
+                const isObject = newValue && typeof newValue === 'object'
+
+                // Primitives that ended up unchanged (e.g. toggled back) don't fire
+                if (!isObject && Object.is(newValue, oldValue)) return
+                notify(concretePath, oldValue)
+            })
+        })
+    }
+
     /**
      * Update multiple state properties at once
      * @param {Object} newState - State properties to update
@@ -206,11 +498,80 @@ export class StateManager {
     }
 
     /**
-     * Get the set of properties that changed since last render
+     * Check whether a top-level state key is a computed property
+     * @param {string} key - Top-level state key
+     * @returns {boolean} True if the key is computed
+     */
+    isComputed(key) {
+        return this._computed.has(key)
+    }
+
+    /**
+     * Take a deep copy of the stored (non-computed) state
+     * @param {string[]} [exclude=[]] - Top-level keys to leave out
+     * @returns {Object} A plain snapshot of the state
+     */
+    getSnapshot(exclude = []) {
+        const rawState = this._rawState ?? this.state
+        return Object.fromEntries(
+            Object.keys(rawState)
+                .filter((key) => !exclude.includes(key))
+                .map((key) => [key, deepClone(toRaw(rawState[key]))])
+        )
+    }
+
+    /**
+     * Bring the state back to a snapshot taken with getSnapshot().
+     * Only top-level keys that differ are assigned, so only they are reported as changed.
+     * @param {Object} snapshot - Snapshot to restore
+     * @param {string[]} [exclude=[]] - Top-level keys to leave untouched
+     * @returns {StateManager} This state manager instance
+     */
+    restoreSnapshot(snapshot, exclude = []) {
+        const rawState = this._rawState ?? this.state
+        const keys = new Set([
+            ...Object.keys(rawState),
+            ...Object.keys(snapshot),
+        ])
+
+        keys.forEach((key) => {
+            if (exclude.includes(key)) return
+
+            if (!(key in snapshot)) {
+                delete this.state[key]
+            } else if (!isEqual(toRaw(rawState[key]), snapshot[key])) {
+                this.state[key] = deepClone(snapshot[key])
+            }
+        })
+        return this
+    }
+
+    /**
+     * Record changes that happened outside this state (e.g. in a connected store)
+     * so they take part in the next render
+     * @param {string[]} paths - Changed property paths
+     * @returns {StateManager} This state manager instance
+     */
+    markChanged(paths) {
+        paths.forEach((path) => this._changedProps.add(path))
+        this._queueRender()
+        return this
+    }
+
+    /**
+     * Get the set of properties that changed since last render,
+     * including computed properties whose value changed
      * @returns {Set<string>} Set of changed property paths
      */
     getChangedProps() {
-        return new Set(this._changedProps)
+        const changedProps = new Set(this._changedProps)
+        this._dirtyComputed.forEach((name) => {
+            const entry = this._computed.get(name)
+            if (!Object.is(this._evaluateComputed(name), entry.reportedValue)) {
+                changedProps.add(name)
+            }
+        })
+        return changedProps
     }
 
     /**
@@ -218,6 +579,11 @@ export class StateManager {
      */
     clearChangedProps() {
         this._changedProps.clear()
+        this._dirtyComputed.forEach((name) => {
+            this._computed.get(name).reportedValue =
+                this._evaluateComputed(name)
+        })
+        this._dirtyComputed.clear()
     }
 
     /**
@@ -228,5 +594,41 @@ export class StateManager {
         this._rawState = null
         this._changedProps.clear()
         this._changedProps = null
+        this._computed.clear()
+        this._dirtyComputed.clear()
+        this._subscribers.clear()
+        this._subscribers = null
+        this._pendingChanges.clear()
     }
 }
+
+/**
+ * Resolve a (possibly wildcard) path pattern against a new and an old value
+ * @param {string[]} pattern - Remaining path segments, `*` matches any key
+ * @param {*} newValue - The current value at basePath
+ * @param {*} oldValue - The previous value at basePath
+ * @param {string} basePath - The concrete path resolved so far
+ * @returns {Array<[string, *, *]>} Tuples of concrete path, new value and old value
+ */
+function expandPattern(pattern, newValue, oldValue, basePath) {
+    if (pattern.length === 0) {
+        return [[basePath, newValue, oldValue]]
+    }
+
+    const [segment, ...rest] = pattern
+    const keysOf = (value) =>
+        value && typeof value === 'object' ? Object.keys(value) : []
+    const keys =
+        segment === '*'
+            ? new Set([...keysOf(newValue), ...keysOf(oldValue)])
+            : [segment]
+
+    return Array.from(keys).flatMap((key) =>
+        expandPattern(
+            rest,
+            newValue?.[key],
+            oldValue?.[key],
+            basePath ? `${basePath}.${key}` : key
+        )
+    )
+}
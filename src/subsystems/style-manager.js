@@ -0,0 +1,105 @@
+import { scopeAttributePrefix, scopeCSS } from '../utils/css'
+
+// Injected styles per component class ({ attribute, sheet, styleElement, instances })
+const classStyles = new Map()
+let nextScopeId = 0
+
+/**
+ * Whether the document supports constructable stylesheets
+ * @returns {boolean} True if `adoptedStyleSheets` can be used
+ */
+function supportsAdoptedStyleSheets() {
+    return (
+        'adoptedStyleSheets' in Document.prototype &&
+        'replaceSync' in CSSStyleSheet.prototype
+    )
+}
+
+/**
+ * Convert `static styles` (a `css` result, a string or an array of them) into stylesheet text
+ * @param {*} styles - The declared styles
+ * @returns {string} The stylesheet text
+ */
+function stylesText(styles) {
+    return [styles].flat(Infinity).filter(Boolean).map(String).join('\n')
+}
+
+/**
+ * Inject the scoped styles of a component class into the document
+ * @param {Function} ComponentClass - The component class declaring `static styles`
+ * @returns {Object} The injected styles entry
+ */
+function injectStyles(ComponentClass) {
+    const attribute = `${scopeAttributePrefix}${++nextScopeId}`
+    const cssText = scopeCSS(stylesText(ComponentClass.styles), attribute)
+    const entry = { attribute, sheet: null, styleElement: null, instances: 0 }
+
+    if (supportsAdoptedStyleSheets()) {
+        entry.sheet = new CSSStyleSheet()
+        entry.sheet.replaceSync(cssText)
+        document.adoptedStyleSheets = [
+            ...document.adoptedStyleSheets,
+            entry.sheet,
+        ]
+    } else {
+        entry.styleElement = document.createElement('style')
+        entry.styleElement.setAttribute(attribute, '')
+        entry.styleElement.textContent = cssText
+        document.head.appendChild(entry.styleElement)
+    }
+
+    classStyles.set(ComponentClass, entry)
+    return entry
+}
+
+/**
+ * Remove the injected styles of a component class from the document
+ * @param {Function} ComponentClass - The component class
+ * @param {Object} entry - The injected styles entry
+ */
+function removeStyles(ComponentClass, entry) {
+    if (entry.sheet) {
+        document.adoptedStyleSheets = document.adoptedStyleSheets.filter(
+            (sheet) => sheet !== entry.sheet
+        )
+    }
+    entry.styleElement?.remove()
+    classStyles.delete(ComponentClass)
+}
+
+/**
+ * Injects the `static styles` of a component class once, scopes them to the host
+ * elements with a generated attribute and removes them with the last instance
+ */
+export class StyleManager {
+    /**
+     * Create a new style manager and mark the host element
+     * @param {Component} component - The component whose styles are managed
+     */
+    constructor(component) {
+        this.component = component
+        this.element = component.element
+        this.componentClass = component.constructor
+
+        const entry =
+            classStyles.get(this.componentClass) ??
+            injectStyles(this.componentClass)
+        entry.instances++
+        this.attribute = entry.attribute
+        this.element.setAttribute(this.attribute, '')
+    }
+
+    /**
+     * Unmark the host element and remove the styles if this was the last instance
+     */
+    destroy() {
+        const entry = classStyles.get(this.componentClass)
+        if (entry && --entry.instances === 0) {
+            removeStyles(this.componentClass, entry)
+        }
+
+        this.element.removeAttribute(this.attribute)
+        this.component = null
+        this.element = null
+    }
+}
@@ -0,0 +1,302 @@
+import { Store } from '../store'
+import { parseBinding } from './binding-manager'
+import { getPath } from '../utils/path'
+
+// Messages for failed built-in rules, overridable per field via `messages`
+const defaultMessages = {
+    required: () => 'This field is required',
+    pattern: () => 'This value has an invalid format',
+    min: (min, value) =>
+        typeof value === 'number'
+            ? `Must be at least ${min}`
+            : `Must have at least ${min} characters`,
+    max: (max, value) =>
+        typeof value === 'number'
+            ? `Must be at most ${max}`
+            : `Must have at most ${max} characters`,
+}
+
+/**
+ * Check whether a value counts as missing for the `required` rule
+ * @param {*} value - The value to check
+ * @returns {boolean} True for null, undefined, blank strings, empty arrays and false
+ */
+function isEmpty(value) {
+    if (value === null || value === undefined || value === false) return true
+    if (typeof value === 'string') return value.trim() === ''
+    if (Array.isArray(value)) return value.length === 0
+    return false
+}
+
+/**
+ * Get the size a `min`/`max` rule compares: numbers by value, strings and arrays by length
+ * @param {*} value - The value to measure
+ * @returns {?number} The size, or null if the value can't be measured
+ */
+function measure(value) {
+    if (typeof value === 'number') return value
+    if (typeof value === 'string' || Array.isArray(value)) return value.length
+    return null
+}
+
+/**
+ * Check whether two state paths affect each other (equal, or one contains the other)
+ * @param {string} a - First path
+ * @param {string} b - Second path
+ * @returns {boolean} True if a change to one can change the other
+ */
+function isRelated(a, b) {
+    return a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`)
+}
+
+/**
+ * Validates state paths against the rules returned by a component's `validation()` hook
+ * and keeps `errors`, `touched` and `isValid` in a reactive store connected to the component
+ */
+export class ValidationManager {
+    /**
+     * Create a new validation manager
+     * @param {Component} component - The component whose state is validated
+     * @param {Object<string, Object>} rules - Rules by state path, e.g. `{ 'user.email': { required: true } }`
+     */
+    constructor(component, rules) {
+        this.component = component
+        this.rules = rules
+        this.isDestroyed = false
+
+        // Bumped per path so results of outdated async validators are dropped
+        this._runs = new Map()
+
+        this.store = new Store(
+            { errors: {}, touched: {}, pending: {} },
+            {
+                computed: {
+                    isValid: (state) =>
+                        Object.keys(state.errors).length === 0 &&
+                        Object.keys(state.pending).length === 0,
+                },
+            }
+        )
+        component.connect(this.store)
+
+        this._unsubscribe = component.stateManager.subscribe((changes) =>
+            this._handleChanges(changes)
+        )
+        this._handleBlur = this._handleBlur.bind(this)
+        component.element.addEventListener('focusout', this._handleBlur)
+
+        Object.keys(this.rules).forEach((path) => this._validateField(path))
+    }
+
+    /**
+     * Re-validate the fields whose state paths changed
+     * @param {Map<string, *>} changes - Changed paths of the batch
+     */
+    _handleChanges(changes) {
+        const changedPaths = Array.from(changes.keys())
+        Object.keys(this.rules)
+            .filter((path) =>
+                changedPaths.some((changed) => isRelated(path, changed))
+            )
+            .forEach((path) => this._validateField(path))
+    }
+
+    /**
+     * Mark the field of a bound control as touched when it loses focus
+     * @param {FocusEvent} event - The focusout event
+     */
+    _handleBlur(event) {
+        const path =
+            event.target instanceof Element
+                ? parseBinding(event.target)?.path
+                : null
+        if (path && this.rules[path]) {
+            this.touch(path)
+        }
+    }
+
+    /**
+     * Mark fields as touched
+     * @param {...string} paths - State paths (all validated paths when omitted)
+     */
+    touch(...paths) {
+        const touched = paths.length > 0 ? paths : Object.keys(this.rules)
+        touched.forEach((path) => {
+            if (!this.store.state.touched[path]) {
+                this.store.state.touched[path] = true
+            }
+        })
+    }
+
+    /**
+     * Validate one field and store its error
+     * @param {string} path - The state path
+     * @returns {Promise<boolean>} Resolves with whether the field is valid
+     */
+    _validateField(path) {
+        const run = (this._runs.get(path) ?? 0) + 1
+        this._runs.set(path, run)
+
+        const value = getPath(this.component.state, path)
+        const result = this._check(path, value)
+
+        if (typeof result?.then !== 'function') {
+            this._setResult(path, result)
+            return Promise.resolve(!result)
+        }
+
+        this.store.state.pending[path] = true
+        return result
+            .catch((error) => error?.message ?? String(error))
+            .then((error) => {
+                if (this.isDestroyed) return false
+                // A newer run decides the error, report the current one
+                if (this._runs.get(path) !== run) {
+                    return !(path in this.store.state.errors)
+                }
+                delete this.store.state.pending[path]
+                this._setResult(path, error)
+                return !error
+            })
+    }
+
+    /**
+     * Run the rules of a field
+     * @param {string} path - The state path
+     * @param {*} value - The current value
+     * @returns {?string|Promise<?string>} The error message, null if valid,
+     * or a promise of either for async validators
+     */
+    _check(path, value) {
+        const {
+            required,
+            pattern,
+            min,
+            max,
+            validate,
+            messages = {},
+        } = this.rules[path]
+        const message = (rule, ...args) =>
+            messages[rule] ?? defaultMessages[rule](...args)
+
+        if (isEmpty(value)) {
+            return required ? message('required') : null
+        }
+        if (pattern && !pattern.test(String(value))) {
+            return message('pattern')
+        }
+        const size = measure(value)
+        if (min !== undefined && size !== null && size < min) {
+            return message('min', min, value)
+        }
+        if (max !== undefined && size !== null && size > max) {
+            return message('max', max, value)
+        }
+        if (!validate) return null
+
+        const result = validate.call(
+            this.component,
+            value,
+            this.component.state
+        )
+        const toError = (outcome) =>
+            outcome === true || outcome === undefined || outcome === null
+                ? null
+                : outcome === false
+                  ? (messages.validate ?? 'This value is invalid')
+                  : String(outcome)
+        return typeof result?.then === 'function'
+            ? result.then(toError)
+            : toError(result)
+    }
+
+    /**
+     * Store or clear the error of a field
+     * @param {string} path - The state path
+     * @param {?string} error - The error message, null if valid
+     */
+    _setResult(path, error) {
+        delete this.store.state.pending[path]
+        if (error) {
+            if (this.store.state.errors[path] !== error) {
+                this.store.state.errors[path] = error
+            }
+        } else if (path in this.store.state.errors) {
+            delete this.store.state.errors[path]
+        }
+    }
+
+    /**
+     * Validate fields, including pending async validators
+     * @param {...string} paths - State paths (all validated paths when omitted)
+     * @returns {Promise<boolean>} Resolves with whether all given fields are valid
+     */
+    async validate(...paths) {
+        const validated = paths.length > 0 ? paths : Object.keys(this.rules)
+        const results = await Promise.all(
+            validated.map((path) => this._validateField(path))
+        )
+        return results.every(Boolean)
+    }
+
+    /**
+     * Handle a form submission: call the handler if all fields are valid, otherwise block
+     * the submission and focus the first invalid control. Pending async validators block
+     * the native submission and the handler runs once they have passed.
+     * @param {Event} event - The submit event
+     * @param {Function} handler - Submit handler, bound to the component
+     * @returns {Promise<void>} Resolves once the submission was handled
+     */
+    async handleSubmit(event, handler) {
+        this.touch()
+        // Synchronous rules are applied right away, so recent input is covered
+        const validation = this.validate()
+
+        if (this.store.state.isValid) {
+            handler.call(this.component, event)
+            return
+        }
+
+        event.preventDefault()
+        const isValid = await validation
+        if (this.isDestroyed) return
+
+        if (isValid) {
+            handler.call(this.component, event)
+        } else {
+            this.focusFirstInvalid()
+        }
+    }
+
+    /**
+     * Focus the first invalid control, in document order, that has a `data-ref`.
+     * Controls are matched by their `data-bind` path or by their `data-ref` name.
+     * @returns {?Element} The focused control
+     */
+    focusFirstInvalid() {
+        const errors = this.store.state.errors
+        const field = Array.from(
+            this.component.element.querySelectorAll('[data-ref]')
+        ).find((element) => {
+            const path =
+                parseBinding(element)?.path ?? element.getAttribute('data-ref')
+            return path in errors
+        })
+        field?.focus()
+        return field ?? null
+    }
+
+    /**
+     * Stop validating and release the store
+     */
+    destroy() {
+        if (this.isDestroyed) return
+        this.isDestroyed = true
+
+        this._unsubscribe()
+        this.component.element.removeEventListener('focusout', this._handleBlur)
+        this.store.destroy()
+        this.store = null
+        this.component = null
+    }
+}
@@ -0,0 +1,41 @@
+/**
+ * Check whether a value is a plain object or array that can be cloned structurally
+ * @param {*} value - Value to check
+ * @returns {boolean} True for arrays and plain objects
+ */
+export function isCloneable(value) {
+    if (Array.isArray(value)) return true
+    if (!value || typeof value !== 'object') return false
+    const prototype = Object.getPrototypeOf(value)
+    return prototype === Object.prototype || prototype === null
+}
+
+/**
+ * Deep clone plain objects and arrays. Any other object (Date, Map, DOM nodes, ...)
+ * is copied by reference.
+ * @param {*} value - Value to clone
+ * @returns {*} The cloned value
+ */
+export function deepClone(value) {
+    if (Array.isArray(value)) return value.map(deepClone)
+    if (!isCloneable(value)) return value
+    return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, deepClone(item)])
+    )
+}
+
+/**
+ * Structurally compare plain objects and arrays, other values are compared with Object.is
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values are structurally equal
+ */
+export function isEqual(a, b) {
+    if (Object.is(a, b)) return true
+    if (!isCloneable(a) || !isCloneable(b)) return false
+    if (Array.isArray(a) !== Array.isArray(b)) return false
+
+    const keys = Object.keys(a)
+    if (keys.length !== Object.keys(b).length) return false
+    return keys.every((key) => key in b && isEqual(a[key], b[key]))
+}
@@ -0,0 +1,191 @@
+/**
+ * Stylesheet text produced by the `css` tag
+ */
+export class CSSResult {
+    /**
+     * Create a new CSS result
+     * @param {ReadonlyArray<string>} strings - Static parts of the template
+     * @param {Array} values - Interpolated values
+     */
+    constructor(strings, values) {
+        this.strings = strings
+        this.values = values
+    }
+
+    /**
+     * Build the final stylesheet text
+     * @returns {string} The resulting CSS
+     */
+    toString() {
+        return this.strings.reduce(
+            (cssText, string, i) =>
+                cssText +
+                string +
+                (i < this.values.length ? (this.values[i] ?? '') : ''),
+            ''
+        )
+    }
+}
+
+/**
+ * Tagged template for component styles, used with `static styles`. Interpolated values
+ * (e.g. other `css` results or plain numbers) are inserted as they are.
+ * @example css`:host { display: block } .title { color: ${accent} }`
+ * @param {ReadonlyArray<string>} strings - Static parts of the template
+ * @param {...*} values - Interpolated values
+ * @returns {CSSResult} The CSS result
+ */
+export function css(strings, ...values) {
+    return new CSSResult(strings, values)
+}
+
+// Prefix of the generated attributes that mark the hosts of scoped styles
+export const scopeAttributePrefix = 'data-stelar-'
+
+// At-rules whose blocks contain style rules that need scoping
+const groupingRules = new Set(['media', 'supports', 'container', 'layer'])
+
+/**
+ * Find the index of the next top-level occurrence of one of the given characters,
+ * skipping quoted strings and nested parentheses or brackets
+ * @param {string} text - Text to search
+ * @param {string} chars - Characters to look for
+ * @param {number} start - Index to start at
+ * @returns {number} The index, or -1 if not found
+ */
+function findTopLevel(text, chars, start) {
+    let depth = 0
+    for (let i = start; i < text.length; i++) {
+        const char = text[i]
+        if (depth === 0 && chars.includes(char)) {
+            return i
+        } else if (char === '"' || char === "'") {
+            i = text.indexOf(char, i + 1)
+            if (i === -1) return -1
+        } else if (char === '(' || char === '[') {
+            depth++
+        } else if (char === ')' || char === ']') {
+            depth--
+        }
+    }
+    return -1
+}
+
+/**
+ * Find the index of the brace closing the block opened at `start`
+ * @param {string} text - Text to search
+ * @param {number} start - Index of the opening brace
+ * @returns {number} The index of the closing brace (or the end of the text)
+ */
+function findBlockEnd(text, start) {
+    let depth = 0
+    for (let i = start; i < text.length; i++) {
+        const char = text[i]
+        if (char === '"' || char === "'") {
+            const end = text.indexOf(char, i + 1)
+            if (end === -1) break
+            i = end
+        } else if (char === '{') {
+            depth++
+        } else if (char === '}' && --depth === 0) {
+            return i
+        }
+    }
+    return text.length
+}
+
+/**
+ * Split a selector list at its top-level commas
+ * @param {string} selectorList - Selector list (e.g. 'h1, :is(h2, h3)')
+ * @returns {string[]} The individual selectors
+ */
+function splitSelectors(selectorList) {
+    const selectors = []
+    let start = 0
+    let index
+    while ((index = findTopLevel(selectorList, ',', start)) !== -1) {
+        selectors.push(selectorList.slice(start, index))
+        start = index + 1
+    }
+    selectors.push(selectorList.slice(start))
+    return selectors.map((selector) => selector.trim()).filter(Boolean)
+}
+
+/**
+ * Scope a single selector to the host attribute. `:host` and `:host(...)` match the
+ * host element itself, every other selector matches descendants of the host.
+ * @param {string} selector - Selector to scope
+ * @param {string} hostSelector - Attribute selector of the host (e.g. '[data-stelar-1]')
+ * @returns {string} The scoped selector
+ */
+function scopeSelector(selector, hostSelector) {
+    let scoped = ''
+    let hasHost = false
+    let index = 0
+    let match
+    const hostPattern = /:host(?![\w-])/g
+    while ((match = hostPattern.exec(selector))) {
+        hasHost = true
+        scoped += selector.slice(index, match.index) + hostSelector
+        index = hostPattern.lastIndex
+        if (selector[index] === '(') {
+            // :host(.active) -> [data-stelar-1].active
+            const end = findTopLevel(selector, ')', index + 1)
+            const close = end === -1 ? selector.length : end
+            scoped += selector.slice(index + 1, close)
+            index = hostPattern.lastIndex = close + 1
+        }
+    }
+    return hasHost
+        ? scoped + selector.slice(index)
+        : `${hostSelector} ${selector}`
+}
+
+/**
+ * Scope every style rule of a stylesheet to the elements carrying the given attribute.
+ * Rules inside `@media`, `@supports`, `@container` and `@layer` are scoped as well,
+ * other at-rules (e.g. `@keyframes`, `@font-face`) are kept as they are.
+ * @param {string} cssText - Stylesheet text
+ * @param {string} attribute - Host attribute name (e.g. 'data-stelar-1')
+ * @returns {string} The scoped stylesheet text
+ */
+export function scopeCSS(cssText, attribute) {
+    const text = String(cssText).replace(/\/\*[\s\S]*?\*\//g, '')
+    const hostSelector = `[${attribute}]`
+    let scoped = ''
+    let index = 0
+
+    while (index < text.length) {
+        const end = findTopLevel(text, '{;', index)
+        if (end === -1) {
+            scoped += text.slice(index)
+            break
+        }
+
+        const prelude = text.slice(index, end).trim()
+        if (text[end] === ';') {
+            // Statement at-rules such as `@layer base, theme;`
+            scoped += `${prelude};`
+            index = end + 1
+            continue
+        }
+
+        const blockEnd = findBlockEnd(text, end)
+        const body = text.slice(end + 1, blockEnd)
+        const atRule = prelude.match(/^@([\w-]+)/)?.[1]
+
+        if (!atRule) {
+            const selectors = splitSelectors(prelude).map((selector) =>
+                scopeSelector(selector, hostSelector)
+            )
+            scoped += `${selectors.join(', ')} {${body}}`
+        } else if (groupingRules.has(atRule)) {
+            scoped += `${prelude} {${scopeCSS(body, attribute)}}`
+        } else {
+            scoped += `${prelude} {${body}}`
+        }
+        index = blockEnd + 1
+    }
+
+    return scoped
+}
@@ -0,0 +1,80 @@
+const escapeMap = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+}
+
+/**
+ * Escape a string for safe use in HTML text and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} The escaped string
+ */
+export function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, (char) => escapeMap[char])
+}
+
+/**
+ * Markup produced by the `html` tag. Its content is trusted and is never escaped again
+ * when interpolated into another template.
+ */
+export class TemplateResult {
+    /**
+     * Create a new template result
+     * @param {ReadonlyArray<string>} strings - Static parts of the template
+     * @param {Array} values - Interpolated values
+     */
+    constructor(strings, values) {
+        this.strings = strings
+        this.values = values
+    }
+
+    /**
+     * Build the final markup, escaping interpolated values
+     * @returns {string} The resulting markup
+     */
+    toString() {
+        return this.strings.reduce(
+            (markup, string, i) =>
+                markup +
+                string +
+                (i < this.values.length ? stringify(this.values[i]) : ''),
+            ''
+        )
+    }
+}
+
+/**
+ * Convert an interpolated value into markup
+ * @param {*} value - Interpolated value
+ * @returns {string} Escaped markup for the value
+ */
+function stringify(value) {
+    if (value === null || value === undefined || value === false) return ''
+    if (value instanceof TemplateResult) return value.toString()
+    if (Array.isArray(value)) return value.map(stringify).join('')
+    return escapeHTML(value)
+}
+
+/**
+ * Tagged template for component markup. Interpolated values are escaped unless they are
+ * nested `html` templates or wrapped with `unsafeHTML()`. Arrays are rendered item by item,
+ * `null`, `undefined` and `false` render nothing.
+ * @example html`<li>${todo.text}</li>`
+ * @param {ReadonlyArray<string>} strings - Static parts of the template
+ * @param {...*} values - Interpolated values
+ * @returns {TemplateResult} The template result
+ */
+export function html(strings, ...values) {
+    return new TemplateResult(strings, values)
+}
+
+/**
+ * Mark a string as trusted markup so the `html` tag inserts it without escaping
+ * @param {string} markup - Trusted markup
+ * @returns {TemplateResult} The markup wrapped as a template result
+ */
+export function unsafeHTML(markup) {
+    return new TemplateResult([String(markup ?? '')], [])
+}
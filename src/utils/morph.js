@@ -0,0 +1,318 @@
+import { scopeAttributePrefix } from './css'
+
+// Attributes of the last render, for elements whose attributes are changed by others too
+const renderedAttributes = new WeakMap()
+const trackedSelector = 'details, dialog, [data-component]'
+
+/**
+ * Patch the children of a live element so they match the given content.
+ * Existing nodes are reused wherever possible, so focus, caret position,
+ * scroll offsets and listeners attached to untouched nodes survive.
+ * Markup is parsed and morphed, `<template>` content is cloned and morphed,
+ * while other nodes and the children of fragments are placed as they are.
+ * @param {HTMLElement} element - The live element whose children are patched
+ * @param {string|Node|Array<string|Node>} content - The desired content of the element
+ */
+export function morph(element, content) {
+    const placed = new Set()
+    const desiredChildren = []
+    let markup = ''
+
+    // Adjacent strings are parsed together, so markup may be split across items
+    const flushMarkup = () => {
+        if (!markup) return
+        desiredChildren.push(...parse(markup).childNodes)
+        markup = ''
+    }
+
+    const items = Array.isArray(content) ? content : [content]
+    items.forEach((item) => {
+        if (typeof item === 'string') {
+            markup += item
+            return
+        }
+
+        flushMarkup()
+        if (item instanceof HTMLTemplateElement) {
+            desiredChildren.push(
+                ...document.importNode(item.content, true).childNodes
+            )
+        } else {
+            const nodes =
+                item.nodeType === Node.DOCUMENT_FRAGMENT_NODE
+                    ? Array.from(item.childNodes)
+                    : [item]
+            nodes.forEach((node) => placed.add(node))
+            desiredChildren.push(...nodes)
+        }
+    })
+    flushMarkup()
+
+    morphChildren(element, desiredChildren, placed)
+}
+
+/**
+ * Parse markup into a fragment
+ * @param {string} markup - The markup
+ * @returns {DocumentFragment} The parsed nodes
+ */
+function parse(markup) {
+    const template = document.createElement('template')
+    template.innerHTML = markup
+    return template.content
+}
+
+/**
+ * Get the identity hint of a node (`data-key` first, then `data-ref`)
+ * @param {Node} node - The node to inspect
+ * @returns {?string} The identity key or null for unkeyed nodes
+ */
+function getKey(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return null
+    return node.getAttribute('data-key') ?? node.getAttribute('data-ref')
+}
+
+/**
+ * Check whether a live node can be patched into the desired node
+ * @param {Node} from - The live node
+ * @param {Node} to - The desired node
+ * @returns {boolean} True if both nodes are of the same kind
+ */
+function isSameNode(from, to) {
+    if (from.nodeType !== to.nodeType || from.nodeName !== to.nodeName) {
+        return false
+    }
+
+    // Never reuse a child component host for a different component
+    return (
+        from.nodeType !== Node.ELEMENT_NODE ||
+        from.getAttribute('data-component') ===
+            to.getAttribute('data-component')
+    )
+}
+
+/**
+ * Reconcile the child list of a live node with a list of desired nodes
+ * @param {Node} fromParent - The live parent node
+ * @param {Node[]} desiredChildren - The desired children
+ * @param {Set<Node>} [placed] - Desired nodes to place by identity instead of morphing
+ */
+function morphChildren(fromParent, desiredChildren, placed = new Set()) {
+    const desiredKeys = new Set(desiredChildren.map(getKey).filter(Boolean))
+
+    const keyed = new Map()
+    fromParent.childNodes.forEach((child) => {
+        const key = getKey(child)
+        if (key) keyed.set(key, child)
+    })
+
+    let cursor = fromParent.firstChild
+
+    // Drop keyed nodes that no longer exist so they don't block positional matching
+    const skipStaleKeyed = () => {
+        while (cursor && getKey(cursor) && !desiredKeys.has(getKey(cursor))) {
+            const next = cursor.nextSibling
+            fromParent.removeChild(cursor)
+            cursor = next
+        }
+    }
+
+    desiredChildren.forEach((toChild) => {
+        skipStaleKeyed()
+
+        if (placed.has(toChild)) {
+            if (toChild === cursor) {
+                cursor = cursor.nextSibling
+            } else {
+                fromParent.insertBefore(toChild, cursor)
+            }
+            return
+        }
+
+        const key = getKey(toChild)
+        let match = null
+
+        // Nodes placed by identity are never patched into something else
+        if (key) {
+            const candidate = keyed.get(key)
+            if (
+                candidate &&
+                !placed.has(candidate) &&
+                isSameNode(candidate, toChild)
+            ) {
+                match = candidate
+            }
+            keyed.delete(key)
+        } else if (
+            cursor &&
+            !getKey(cursor) &&
+            !placed.has(cursor) &&
+            isSameNode(cursor, toChild)
+        ) {
+            match = cursor
+        }
+
+        if (!match) {
+            fromParent.insertBefore(toChild, cursor)
+            recordInserted(toChild)
+            return
+        }
+
+        if (match === cursor) {
+            cursor = cursor.nextSibling
+        } else {
+            fromParent.insertBefore(match, cursor)
+        }
+        morphNode(match, toChild)
+    })
+
+    // Whatever is left after the cursor has no counterpart in the new markup
+    while (cursor) {
+        const next = cursor.nextSibling
+        fromParent.removeChild(cursor)
+        cursor = next
+    }
+}
+
+/**
+ * Patch a single live node so it matches the desired node
+ * @param {Node} from - The live node
+ * @param {Node} to - The desired node
+ */
+function morphNode(from, to) {
+    if (from.nodeType !== Node.ELEMENT_NODE) {
+        if (from.nodeValue !== to.nodeValue) {
+            from.nodeValue = to.nodeValue
+        }
+        return
+    }
+
+    syncFormState(from, to)
+    syncAttributes(from, to)
+
+    // Elements marked with `data-preserve` (e.g. third-party widgets) and
+    // child component hosts own their children
+    if (
+        from.hasAttribute('data-preserve') ||
+        from._component ||
+        from.nodeName === 'TEXTAREA'
+    ) {
+        return
+    }
+
+    morphChildren(from, Array.from(to.childNodes))
+}
+
+/**
+ * Check whether an element's attributes are changed by others besides the markup
+ * @param {Element} element - The element
+ * @returns {boolean} True if the rendered attributes need to be remembered
+ */
+function tracksAttributes(element) {
+    return Boolean(element._component) || element.matches(trackedSelector)
+}
+
+/**
+ * Check whether an attribute of an element is shared between the markup and others
+ * @param {Element} element - The live element
+ * @param {string} name - The attribute name
+ * @returns {boolean} True if the attribute is only patched where the markup changed
+ */
+function isSharedAttribute(element, name) {
+    // Child components reflect props to their hosts, and the user toggles the `open`
+    // state of disclosure widgets
+    return (
+        Boolean(element._component) ||
+        (name === 'open' && ['DETAILS', 'DIALOG'].includes(element.nodeName))
+    )
+}
+
+/**
+ * Remember the rendered attributes of an element
+ * @param {Element} from - The live element
+ * @param {Element} to - The element as rendered
+ */
+function recordAttributes(from, to) {
+    if (!tracksAttributes(from)) return
+    renderedAttributes.set(
+        from,
+        new Map(Array.from(to.attributes, ({ name, value }) => [name, value]))
+    )
+}
+
+/**
+ * Remember the rendered attributes of a newly inserted subtree
+ * @param {Node} node - The inserted node
+ */
+function recordInserted(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return
+    recordAttributes(node, node)
+    node.querySelectorAll(trackedSelector).forEach((element) =>
+        recordAttributes(element, element)
+    )
+}
+
+/**
+ * Copy attributes from the desired element onto the live element. Shared attributes are
+ * only patched where the markup changed since the last render, so changes made by
+ * others survive until the markup itself changes.
+ * @param {Element} from - The live element
+ * @param {Element} to - The desired element
+ */
+function syncAttributes(from, to) {
+    const previous = renderedAttributes.get(from)
+
+    Array.from(to.attributes).forEach(({ name, value }) => {
+        if (from.getAttribute(name) === value) return
+        if (
+            previous &&
+            isSharedAttribute(from, name) &&
+            previous.get(name) === value
+        ) {
+            return
+        }
+        from.setAttribute(name, value)
+    })
+
+    Array.from(from.attributes).forEach(({ name }) => {
+        if (to.hasAttribute(name)) return
+
+        // Nested component hosts keep the scope attribute set by their styles
+        if (from._component && name.startsWith(scopeAttributePrefix)) return
+
+        if (isSharedAttribute(from, name) && !previous?.has(name)) return
+        from.removeAttribute(name)
+    })
+
+    recordAttributes(from, to)
+}
+
+/**
+ * Update live form control properties, but only where the rendered markup changed.
+ * Values the user has typed or toggled are kept as long as the markup stays the same.
+ * @param {Element} from - The live element
+ * @param {Element} to - The desired element
+ */
+function syncFormState(from, to) {
+    switch (from.nodeName) {
+        case 'INPUT':
+            if (from.getAttribute('value') !== to.getAttribute('value')) {
+                from.value = to.getAttribute('value') ?? ''
+            }
+            if (from.hasAttribute('checked') !== to.hasAttribute('checked')) {
+                from.checked = to.hasAttribute('checked')
+            }
+            break
+        case 'OPTION':
+            if (from.hasAttribute('selected') !== to.hasAttribute('selected')) {
+                from.selected = to.hasAttribute('selected')
+            }
+            break
+        case 'TEXTAREA':
+            if (from.defaultValue !== to.textContent) {
+                from.defaultValue = to.textContent
+                from.value = to.textContent
+            }
+            break
+    }
+}
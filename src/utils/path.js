@@ -0,0 +1,34 @@
+/**
+ * Read a value from an object by dot-separated path
+ * @param {Object} object - The object to read from
+ * @param {string} path - Dot-separated property path (e.g. 'user.address.city')
+ * @returns {*} The value at the path, or undefined if any segment is missing
+ */
+export function getPath(object, path) {
+    if (!path) return object
+    return path
+        .split('.')
+        .reduce(
+            (value, key) =>
+                value !== null && value !== undefined ? value[key] : undefined,
+            object
+        )
+}
+
+/**
+ * Write a value to an object by dot-separated path, creating missing objects on the way
+ * @param {Object} object - The object to write to
+ * @param {string} path - Dot-separated property path (e.g. 'user.address.city')
+ * @param {*} value - The value to write
+ */
+export function setPath(object, path, value) {
+    const keys = path.split('.')
+    const last = keys.pop()
+    const parent = keys.reduce((target, key) => {
+        if (target[key] === null || typeof target[key] !== 'object') {
+            target[key] = {}
+        }
+        return target[key]
+    }, object)
+    parent[last] = value
+}
@@ -0,0 +1,119 @@
+// Attributes that describe the host itself rather than props for its component
+const reservedHostAttributes = ['component', 'key', 'ref']
+
+/**
+ * Read component props from the `data-*` attributes of its host element.
+ * Without a schema, values are parsed as JSON where possible (numbers, booleans, objects),
+ * strings otherwise. With a schema, only declared props are read and coerced to their type.
+ * @param {HTMLElement} host - The component's host element
+ * @param {?Object} [schema] - The component's `static props`
+ * @returns {Object} Props keyed by camelCased attribute name
+ */
+export function readHostProps(host, schema = null) {
+    if (schema) {
+        return Object.fromEntries(
+            Object.entries(normalizeProps(schema))
+                .filter(([, definition]) =>
+                    host.hasAttribute(definition.attribute)
+                )
+                .map(([name, definition]) => [
+                    name,
+                    coerceProp(
+                        host.getAttribute(definition.attribute),
+                        definition
+                    ),
+                ])
+        )
+    }
+
+    return Object.fromEntries(
+        Object.entries(host.dataset)
+            .filter(([name]) => !reservedHostAttributes.includes(name))
+            .map(([name, value]) => {
+                try {
+                    return [name, JSON.parse(value)]
+                } catch {
+                    return [name, value]
+                }
+            })
+    )
+}
+
+/**
+ * Get the `data-*` attribute name of a prop
+ * @param {string} name - camelCased prop name
+ * @returns {string} The attribute name (e.g. 'maxItems' → 'data-max-items')
+ */
+function propAttribute(name) {
+    return `data-${name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`)}`
+}
+
+/**
+ * Expand a `static props` schema into full definitions.
+ * Each prop may be declared by its type alone or as `{ type, reflect, default }`.
+ * @param {Object} schema - The props schema
+ * @returns {Object<string, {type: Function, reflect: boolean, default: *, attribute: string}>} Definitions by prop name
+ */
+export function normalizeProps(schema) {
+    return Object.fromEntries(
+        Object.entries(schema).map(([name, declaration]) => {
+            const definition =
+                typeof declaration === 'function'
+                    ? { type: declaration }
+                    : declaration
+            return [
+                name,
+                {
+                    type: definition.type ?? String,
+                    reflect: definition.reflect ?? false,
+                    default: definition.default,
+                    attribute: propAttribute(name),
+                },
+            ]
+        })
+    )
+}
+
+/**
+ * Convert an attribute value into a prop value
+ * @param {?string} value - The attribute value, null when the attribute is missing
+ * @param {Object} definition - The prop definition
+ * @returns {*} The coerced value
+ */
+export function coerceProp(value, { type, default: defaultValue }) {
+    if (type === Boolean) {
+        return value !== null && value !== 'false'
+    }
+    if (value === null) {
+        return defaultValue ?? null
+    }
+
+    switch (type) {
+        case Number:
+            return value.trim() === '' ? (defaultValue ?? null) : Number(value)
+        case String:
+            return value
+        case Object:
+        case Array:
+            try {
+                return JSON.parse(value)
+            } catch {
+                return defaultValue ?? null
+            }
+        default:
+            return type(value)
+    }
+}
+
+/**
+ * Convert a prop value into an attribute value
+ * @param {*} value - The prop value
+ * @param {Object} definition - The prop definition
+ * @returns {?string} The attribute value, null to remove the attribute
+ */
+export function serializeProp(value, { type }) {
+    if (value === null || value === undefined || value === false) return null
+    if (type === Boolean) return ''
+    if (typeof value === 'object') return JSON.stringify(value)
+    return String(value)
+}
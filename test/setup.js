@@ -1,7 +1,23 @@
 import { GlobalRegistrator } from '@happy-dom/global-registrator'
+import { mutationListeners } from 'happy-dom/lib/PropertySymbol.js'
 
 GlobalRegistrator.register()
 
+// happy-dom only holds MutationObserver callbacks weakly, so garbage collection can
+// silently stop a long-lived observer (like the shared connection observer). Keep the
+// callbacks alive for as long as their observer is.
+const observe = MutationObserver.prototype.observe
+MutationObserver.prototype.observe = function (target, options) {
+    const known = new Set(target[mutationListeners])
+    observe.call(this, target, options)
+    this._retainedCallbacks = [
+        ...(this._retainedCallbacks ?? []),
+        ...target[mutationListeners]
+            .filter((listener) => !known.has(listener))
+            .map((listener) => listener.callback.deref()),
+    ]
+}
+
 // Helper to wait for the next animation frame (for render checks)
 export async function waitForRender() {
     return new Promise((resolve) => requestAnimationFrame(resolve))